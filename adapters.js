@@ -0,0 +1,213 @@
+// Mount createCrudRoutes() routes on a framework. Every adapter takes the
+// app (or router) and the routes of one table, maps the framework's request
+// to `{ params, query, body, url, raw }` and sends back what `handle`
+// resolves; route middleware is the framework's own.
+
+// Express, or anything with `app.get(path, ...handlers)` and
+// `res.status().json()`; bodies come from express.json()
+const express = (app, crud) => {
+  for (const route of crud.routesFor(app)) {
+    app[route.method](route.path, ...route.middleware, async (req, res) => {
+      const { status, headers = {}, body } = await route.handle({
+        params: req.params,
+        query: req.query,
+        body: req.body,
+        url: req.originalUrl || req.url,
+        raw: req
+      });
+      res.status(status);
+      for (const [name, value] of Object.entries(headers)) res.set(name, value);
+      if (typeof body === 'string') {
+        res.send(body);
+      } else {
+        res.json(body);
+      }
+    });
+  }
+};
+
+// Fastify; middleware are preHandler hooks
+const fastify = (app, crud) => {
+  for (const route of crud.routesFor(app)) {
+    app.route({
+      method: route.method.toUpperCase(),
+      url: route.path,
+      ...(route.middleware.length > 0 && { preHandler: route.middleware }),
+      handler: async (request, reply) => {
+        const { status, headers = {}, body } = await route.handle({
+          params: request.params,
+          query: request.query,
+          body: request.body,
+          url: request.url,
+          raw: request
+        });
+        return reply.code(status).headers(headers).send(body);
+      }
+    });
+  }
+};
+
+// A Koa router such as @koa/router; middleware take `(ctx, next)`, bodies
+// come from a body parser like koa-bodyparser and `scope` gets `ctx`
+const koa = (router, crud) => {
+  for (const route of crud.routesFor(router)) {
+    router[route.method](route.path, ...route.middleware, async (ctx) => {
+      const { status, headers = {}, body } = await route.handle({
+        params: ctx.params,
+        query: ctx.query,
+        body: ctx.request.body,
+        url: ctx.originalUrl,
+        raw: ctx
+      });
+      ctx.status = status;
+      ctx.set(headers);
+      ctx.body = body;
+    });
+  }
+};
+
+// `/users/:id` -> a pattern whose groups are the params, in order
+const compilePath = (path) => {
+  const names = [];
+  const source = path.split('/').map((segment) => {
+    if (!segment.startsWith(':')) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    names.push(segment.slice(1));
+    return '([^/]+)';
+  }).join('/');
+  return { pattern: new RegExp(`^${source}/?$`), names };
+};
+
+const decodeParam = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    return value;
+  }
+};
+
+// Query string as an object; repeated keys become arrays
+const parseQuery = (searchParams) => {
+  const query = {};
+  for (const [key, value] of searchParams) {
+    if (!(key in query)) {
+      query[key] = value;
+    } else {
+      query[key] = [].concat(query[key], value);
+    }
+  }
+  return query;
+};
+
+// The request's JSON body, or undefined when it has none
+const readJson = (req, limit) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > limit) {
+      reject(Object.assign(new Error(`Request body exceeds ${limit} bytes`), { status: 413 }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    const text = Buffer.concat(chunks).toString('utf8');
+    if (!text.trim()) return resolve(undefined);
+    try {
+      resolve(JSON.parse(text));
+    } catch (err) {
+      reject(Object.assign(new Error('Request body is not valid JSON'), { status: 400 }));
+    }
+  });
+  req.on('error', reject);
+});
+
+const send = (res, status, body, headers = {}) => {
+  res.statusCode = status;
+  for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+  if (typeof body === 'string') {
+    res.end(body);
+  } else {
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(body));
+  }
+};
+
+// Runs Connect-style `(req, res, next)` middleware in order; false when one
+// answered the request itself
+const runMiddleware = async (middleware, req, res) => {
+  for (const handler of middleware) {
+    const proceed = await new Promise((resolve, reject) => {
+      const answered = () => resolve(false);
+      res.once('finish', answered);
+      const next = (err) => {
+        res.removeListener('finish', answered);
+        if (err) return reject(err);
+        resolve(true);
+      };
+      Promise.resolve().then(() => handler(req, res, next)).catch(reject);
+    });
+    if (!proceed) return false;
+  }
+  return true;
+};
+
+/**
+ * Node's `http` server: returns a `(req, res, next)` request listener that
+ * serves the routes of every table in `cruds`. Query strings and JSON bodies
+ * (up to `bodyLimit` bytes, 1 MB by default) are parsed unless something
+ * earlier set `req.query` / `req.body`; `req.params` is set like Express
+ * does. Middleware are Connect-style. Unmatched requests go to `next`, or
+ * get a 404 without one. The listener is the `app` that openApiDocument()
+ * takes.
+ */
+const http = (cruds, { bodyLimit = 1024 * 1024 } = {}) => {
+  const routes = [];
+  const listener = async (req, res, next) => {
+    const url = new URL(req.url, 'http://localhost');
+    const method = req.method.toLowerCase();
+    let params = null;
+    const route = routes.find((candidate) => {
+      if (candidate.method !== method) return false;
+      const match = candidate.pattern.exec(url.pathname);
+      if (!match) return false;
+      params = Object.fromEntries(candidate.names.map((name, index) => [name, decodeParam(match[index + 1])]));
+      return true;
+    });
+
+    if (!route) {
+      if (next) return next();
+      return send(res, 404, { error: 'Not found' });
+    }
+
+    try {
+      req.params = params;
+      if (req.query === undefined) req.query = parseQuery(url.searchParams);
+      if (req.body === undefined && !['get', 'delete'].includes(method)) req.body = await readJson(req, bodyLimit);
+      if (!(await runMiddleware(route.middleware, req, res))) return;
+
+      const { status, headers, body } = await route.handle({
+        params, query: req.query, body: req.body, url: req.url, raw: req
+      });
+      send(res, status, body, headers);
+    } catch (err) {
+      if (next && !err.status) return next(err);
+      send(res, err.status || 500, { error: err.message });
+    }
+  };
+
+  for (const crud of [].concat(cruds)) {
+    for (const route of crud.routesFor(listener)) {
+      routes.push({ ...route, ...compilePath(route.path) });
+    }
+  }
+  return listener;
+};
+
+module.exports = {
+  express,
+  fastify,
+  koa,
+  http
+};
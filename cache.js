@@ -0,0 +1,186 @@
+/**
+ * Query cache adapters. An adapter stores query results under a key with a
+ * TTL and a list of tags (the tables the query read), and drops every entry
+ * carrying a tag on invalidateTags():
+ *
+ *   get(key)                       -> value, or undefined on a miss
+ *   set(key, value, { ttl, tags })
+ *   delete(key)
+ *   invalidateTags(tags)
+ *   clear()
+ *   stats()                        -> { size, ... } (optional)
+ *
+ * Every method may return a promise.
+ */
+
+const sizeOf = (value) => Buffer.byteLength(JSON.stringify(value) || '');
+
+/**
+ * In-process LRU cache. The least recently used entries are evicted once
+ * `maxEntries` or `maxBytes` (JSON size of the cached rows) is exceeded, and
+ * expired entries are swept every `sweepInterval` ms.
+ */
+const createLruCache = (options = {}) => {
+  const {
+    maxEntries = 1000,
+    maxBytes = null,
+    sweepInterval = 60000
+  } = options;
+
+  // Map order is recency order: the first entry is the least recently used
+  const entries = new Map();
+  const tagIndex = new Map();
+  let bytes = 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    bytes -= entry.bytes;
+    for (const tag of entry.tags) {
+      const keys = tagIndex.get(tag);
+      if (!keys) continue;
+      keys.delete(key);
+      if (keys.size === 0) tagIndex.delete(tag);
+    }
+  };
+
+  const isExpired = (entry, now = Date.now()) => entry.expiresAt !== null && entry.expiresAt <= now;
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (isExpired(entry, now)) remove(key);
+    }
+  };
+
+  // Doesn't keep the process alive
+  const timer = sweepInterval ? setInterval(sweep, sweepInterval) : null;
+  if (timer && timer.unref) timer.unref();
+
+  return {
+    get: (key) => {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (isExpired(entry)) {
+        remove(key);
+        return undefined;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set: (key, value, { ttl = null, tags = [] } = {}) => {
+      remove(key);
+      const entry = {
+        value,
+        tags,
+        bytes: maxBytes ? sizeOf(value) : 0,
+        expiresAt: ttl ? Date.now() + ttl : null
+      };
+      // A result larger than the whole budget is never cached
+      if (maxBytes && entry.bytes > maxBytes) return;
+
+      entries.set(key, entry);
+      bytes += entry.bytes;
+      for (const tag of tags) {
+        if (!tagIndex.has(tag)) tagIndex.set(tag, new Set());
+        tagIndex.get(tag).add(key);
+      }
+
+      while (entries.size > maxEntries || (maxBytes && bytes > maxBytes)) {
+        remove(entries.keys().next().value);
+      }
+    },
+
+    delete: (key) => remove(key),
+
+    invalidateTags: (tags) => {
+      for (const tag of tags) {
+        for (const key of [...(tagIndex.get(tag) || [])]) remove(key);
+      }
+    },
+
+    clear: () => {
+      entries.clear();
+      tagIndex.clear();
+      bytes = 0;
+    },
+
+    sweep,
+
+    // Stops the sweep timer
+    close: () => {
+      if (timer) clearInterval(timer);
+    },
+
+    stats: () => ({ size: entries.size, bytes, maxEntries, maxBytes })
+  };
+};
+
+/**
+ * Redis-backed cache for results shared between app instances. `client` is
+ * an ioredis client (`call()`) or a node-redis v4 client (`sendCommand()`).
+ * Entries are JSON, so cached DATETIME values come back as ISO strings.
+ */
+const createRedisCache = (client, options = {}) => {
+  const { prefix = 'mysql2-helper-lite:' } = options;
+
+  const send = typeof client.call === 'function'
+    ? (...args) => client.call(...args)
+    : (...args) => client.sendCommand(args.map(String));
+
+  const entryKey = (key) => `${prefix}entry:${key}`;
+  const tagKey = (tag) => `${prefix}tag:${tag}`;
+
+  const deleteKeys = async (keys) => {
+    if (keys.length > 0) await send('DEL', ...keys);
+  };
+
+  return {
+    get: async (key) => {
+      const value = await send('GET', entryKey(key));
+      return value === null || value === undefined ? undefined : JSON.parse(value);
+    },
+
+    set: async (key, value, { ttl = null, tags = [] } = {}) => {
+      const args = ['SET', entryKey(key), JSON.stringify(value)];
+      if (ttl) args.push('PX', ttl);
+      await send(...args);
+      for (const tag of tags) {
+        await send('SADD', tagKey(tag), entryKey(key));
+        // Tag sets outlive their entries only until the newest one expires
+        if (ttl) await send('PEXPIRE', tagKey(tag), ttl);
+      }
+    },
+
+    delete: async (key) => {
+      await send('DEL', entryKey(key));
+    },
+
+    invalidateTags: async (tags) => {
+      for (const tag of tags) {
+        const keys = await send('SMEMBERS', tagKey(tag));
+        await deleteKeys([...keys, tagKey(tag)]);
+      }
+    },
+
+    // Removes this prefix's keys only
+    clear: async () => {
+      let cursor = '0';
+      do {
+        const [next, keys] = await send('SCAN', cursor, 'MATCH', `${prefix}*`, 'COUNT', 100);
+        await deleteKeys(keys);
+        cursor = String(next);
+      } while (cursor !== '0');
+    },
+
+    stats: () => ({ size: null })
+  };
+};
+
+module.exports = {
+  createLruCache,
+  createRedisCache
+};
@@ -0,0 +1,147 @@
+const { quoteIdentifier } = require('./identifiers');
+const { ValidationError } = require('./errors');
+
+const LOGICAL_OPERATORS = ['$or', '$and'];
+
+const COMPARISONS = {
+  $eq: '=',
+  $ne: '!=',
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<=',
+  $like: 'LIKE',
+  $notLike: 'NOT LIKE'
+};
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !Buffer.isBuffer(value);
+
+const isOperatorObject = (value) =>
+  isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(k => k.startsWith('$'));
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+const compileOperator = (column, operator, operand) => {
+  if (COMPARISONS[operator]) {
+    if (operand === null) {
+      if (operator === '$eq') return { sql: `${column} IS NULL`, params: [] };
+      if (operator === '$ne') return { sql: `${column} IS NOT NULL`, params: [] };
+    }
+    return { sql: `${column} ${COMPARISONS[operator]} ?`, params: [operand] };
+  }
+
+  switch (operator) {
+    case '$in':
+    case '$nin': {
+      if (!Array.isArray(operand)) {
+        throw new ValidationError(`${operator} expects an array for column ${column}`);
+      }
+      // An empty IN list can never match; an empty NOT IN list matches everything
+      if (operand.length === 0) {
+        return { sql: operator === '$in' ? '1 = 0' : '1 = 1', params: [] };
+      }
+      const keyword = operator === '$in' ? 'IN' : 'NOT IN';
+      return { sql: `${column} ${keyword} (${placeholders(operand)})`, params: operand };
+    }
+    case '$between':
+    case '$notBetween': {
+      if (!Array.isArray(operand) || operand.length !== 2) {
+        throw new ValidationError(`${operator} expects a [min, max] pair for column ${column}`);
+      }
+      const keyword = operator === '$between' ? 'BETWEEN' : 'NOT BETWEEN';
+      return { sql: `${column} ${keyword} ? AND ?`, params: operand };
+    }
+    case '$null':
+      return { sql: `${column} ${operand ? 'IS NULL' : 'IS NOT NULL'}`, params: [] };
+    default:
+      throw new ValidationError(`Unsupported condition operator: ${operator}`);
+  }
+};
+
+// Parts remember the operator that joined them, so only a group nested under
+// a different operator needs parentheses
+const joinParts = (parts, glue) => {
+  if (parts.length === 0) return { sql: '', params: [] };
+  if (parts.length === 1) return parts[0];
+  return {
+    sql: parts.map(p => (p.glue && p.glue !== glue ? `(${p.sql})` : p.sql)).join(` ${glue} `),
+    params: parts.flatMap(p => p.params),
+    glue
+  };
+};
+
+const compileParts = (conditions, options) => {
+  const { prefix = null, resolveColumn = null } = options;
+
+  if (!isPlainObject(conditions)) {
+    throw new ValidationError('Conditions must be an object');
+  }
+
+  const quote = (key) => {
+    if (resolveColumn) return resolveColumn(key);
+    return prefix ? `${quoteIdentifier(prefix)}.${quoteIdentifier(key)}` : quoteIdentifier(key);
+  };
+
+  const parts = [];
+
+  for (const [key, value] of Object.entries(conditions)) {
+    if (value === undefined) continue;
+
+    if (LOGICAL_OPERATORS.includes(key)) {
+      const groups = Array.isArray(value) ? value : [value];
+      const compiled = groups
+        .map(group => compileParts(group, options))
+        .filter(group => group.sql);
+      if (compiled.length > 0) {
+        parts.push(joinParts(compiled, key === '$or' ? 'OR' : 'AND'));
+      }
+      continue;
+    }
+
+    if (key.startsWith('$')) {
+      throw new ValidationError(`Unsupported logical operator: ${key}`);
+    }
+
+    const column = quote(key);
+
+    if (value === null) {
+      parts.push({ sql: `${column} IS NULL`, params: [] });
+    } else if (isOperatorObject(value)) {
+      for (const [operator, operand] of Object.entries(value)) {
+        parts.push(compileOperator(column, operator, operand));
+      }
+    } else if (isPlainObject(value) || Array.isArray(value)) {
+      throw new ValidationError(`Invalid condition value for column ${key}`);
+    } else {
+      parts.push({ sql: `${column} = ?`, params: [value] });
+    }
+  }
+
+  return joinParts(parts, 'AND');
+};
+
+/**
+ * Compile a conditions object into a parameterized SQL expression.
+ *
+ *   { status: 'active', deleted_at: null, age: { $gte: 18 }, $or: [{ role: 'admin' }, { vip: 1 }] }
+ *
+ * Returns { sql, params } where sql is '' when there are no conditions. The
+ * expression is safe to combine with further `AND` clauses.
+ * `options.prefix` qualifies every column with a table name or alias;
+ * `options.resolveColumn(key)` replaces the default quoting, e.g. to check
+ * keys against the table's real columns.
+ */
+const compileConditions = (conditions = {}, options = {}) => {
+  const { sql, params, glue } = compileParts(conditions, options);
+  return { sql: glue === 'OR' ? `(${sql})` : sql, params };
+};
+
+module.exports = {
+  compileConditions,
+  isOperatorObject
+};
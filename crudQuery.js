@@ -0,0 +1,156 @@
+const { ValidationError } = require('./errors');
+
+// Query-string keys with a meaning of their own; any other key filters by
+// equality (`?status=active` is `?filter[status]=active`)
+const RESERVED_KEYS = ['filter', 'sort', 'fields', 'page', 'perPage', 'cursor'];
+
+// `filter[column][op]` operators and the condition operators they map to
+const FILTER_OPERATORS = {
+  eq: '$eq',
+  ne: '$ne',
+  gt: '$gt',
+  gte: '$gte',
+  lt: '$lt',
+  lte: '$lte',
+  like: '$like',
+  in: '$in',
+  nin: '$nin',
+  between: '$between',
+  null: '$null'
+};
+
+const LIST_OPERATORS = ['in', 'nin', 'between'];
+
+// `filter[price][gte]` as a flat key, for query parsers that don't nest
+const FLAT_FILTER = /^filter\[([^\]]+)\](?:\[([^\]]+)\])?$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Comma-separated names, as `sort` and `fields` take them
+const nameList = (value, param) => {
+  if (typeof value !== 'string') throw new ValidationError(`${param} must be a comma-separated list`);
+  const names = value.split(',').map(name => name.trim());
+  if (names.some(name => !name || /\s/.test(name))) {
+    throw new ValidationError(`Invalid ${param}: '${value}'`);
+  }
+  return names;
+};
+
+const positiveInteger = (value, param, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ValidationError(`${param} must be a positive integer`);
+  }
+  return number;
+};
+
+const operand = (column, op, value) => {
+  if (op === 'null') {
+    if (!['true', 'false', '1', '0'].includes(String(value))) {
+      throw new ValidationError(`filter[${column}][null] must be true or false`);
+    }
+    return ['true', '1'].includes(String(value));
+  }
+  if (LIST_OPERATORS.includes(op)) {
+    return Array.isArray(value) ? value : String(value).split(',');
+  }
+  if (typeof value !== 'string') {
+    throw new ValidationError(`filter[${column}][${op}] takes a single value`);
+  }
+  return value;
+};
+
+// Filters from `filter[...]`, flat `filter[...]` keys and bare keys, as a
+// conditions object of operator objects
+const parseFilters = (query) => {
+  const where = {};
+
+  const add = (column, op, value) => {
+    if (!FILTER_OPERATORS[op]) throw new ValidationError(`Unsupported filter operator: ${op}`);
+    where[column] = { ...where[column], [FILTER_OPERATORS[op]]: operand(column, op, value) };
+  };
+
+  const addSpec = (column, spec) => {
+    if (isPlainObject(spec)) {
+      Object.entries(spec).forEach(([op, value]) => add(column, op, value));
+    } else {
+      add(column, 'eq', spec);
+    }
+  };
+
+  for (const [key, value] of Object.entries(query)) {
+    const flat = FLAT_FILTER.exec(key);
+    if (value === undefined) continue;
+    if (key === 'filter') {
+      if (!isPlainObject(value)) throw new ValidationError('filter must name a column: filter[column]=value');
+      Object.entries(value).forEach(([column, spec]) => addSpec(column, spec));
+    } else if (flat) {
+      add(flat[1], flat[2] || 'eq', value);
+    } else if (!RESERVED_KEYS.includes(key)) {
+      addSpec(key, value);
+    }
+  }
+
+  return where;
+};
+
+/**
+ * Parse the query string of a list route:
+ *
+ * - `filter[column]=value` or `filter[column][op]=value`, op being eq, ne,
+ *   gt, gte, lt, lte, like, in, nin, between (comma-separated lists) or null
+ *   (true / false). Bare `column=value` keys are equality filters.
+ * - `sort=-created_at,name`: a leading `-` sorts descending
+ * - `fields=id,name`: the columns to return
+ * - `page` and `perPage`, or `cursor` (empty for the first page) for cursor
+ *   pagination, which sorts by a single column (`id` by default)
+ *
+ * Column names are checked by the db against the table schema.
+ */
+const parseListQuery = (query = {}, options = {}) => {
+  const { perPage: defaultPerPage = 20, maxPerPage = 100 } = options;
+
+  const sort = query.sort === undefined ? [] : nameList(query.sort, 'sort').map(name => (name.startsWith('-')
+    ? { column: name.slice(1), direction: 'DESC' }
+    : { column: name.replace(/^\+/, ''), direction: 'ASC' }));
+  const orderBy = sort.map(({ column, direction }) => `${column} ${direction}`);
+  const columns = query.fields === undefined ? ['*'] : nameList(query.fields, 'fields');
+
+  const perPage = positiveInteger(query.perPage, 'perPage', defaultPerPage);
+  if (perPage > maxPerPage) throw new ValidationError(`perPage can't exceed ${maxPerPage}`);
+
+  const parsed = { where: parseFilters(query), sort, orderBy, columns, perPage };
+
+  if (query.cursor === undefined) {
+    return { ...parsed, mode: 'page', page: positiveInteger(query.page, 'page', 1) };
+  }
+
+  if (query.page !== undefined) throw new ValidationError('Use either page or cursor, not both');
+  if (typeof query.cursor !== 'string') throw new ValidationError('cursor must be a single value');
+  if (sort.length > 1) throw new ValidationError('Cursor pagination sorts by a single column');
+  const [{ column: cursorColumn, direction } = { column: 'id', direction: 'ASC' }] = sort;
+  return { ...parsed, mode: 'cursor', cursor: query.cursor || null, cursorColumn, direction };
+};
+
+// The request URL with `params` replaced, as a path and query string
+const urlWith = (url, params) => {
+  const target = new URL(url, 'http://localhost');
+  for (const [name, value] of Object.entries(params)) {
+    target.searchParams.set(name, String(value));
+  }
+  return `${target.pathname}${target.search}`;
+};
+
+// RFC 8288 Link header from { rel: params }, or null when there are no links
+const linkHeader = (url, links) => {
+  const entries = Object.entries(links).filter(([, params]) => params);
+  if (entries.length === 0) return null;
+  return entries.map(([rel, params]) => `<${urlWith(url, params)}>; rel="${rel}"`).join(', ');
+};
+
+module.exports = {
+  parseFilters,
+  parseListQuery,
+  linkHeader
+};
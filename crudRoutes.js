@@ -0,0 +1,368 @@
+const fs = require('fs');
+const {
+  ValidationError,
+  TableNotAllowedError,
+  NotFoundError,
+  UniqueViolationError,
+  ForeignKeyViolationError,
+  NotNullViolationError,
+  DataTooLongError,
+  DeadlockError,
+  LockWaitTimeoutError,
+  ConnectionError
+} = require('./errors');
+const { parseFilters, parseListQuery, linkHeader } = require('./crudQuery');
+const { validateBody } = require('./validation');
+const { toJsonSchema } = require('./schema');
+const { registerTable, openApiDocument } = require('./openapi');
+
+// Columns clients can't write unless a schema declares them
+const READ_ONLY_COLUMNS = ['id', 'created_at', 'updated_at', 'deleted_at'];
+
+// Routes by operation name, for `options.operations` and `options.middleware`
+const OPERATIONS = ['list', 'count', 'get', 'create', 'bulkCreate', 'replace', 'update', 'delete', 'restore'];
+
+// Typed errors answer with their own status; anything else gets the route's
+// fallback
+const STATUS_BY_ERROR = [
+  [TableNotAllowedError, 403],
+  [NotFoundError, 404],
+  [UniqueViolationError, 409],
+  [ForeignKeyViolationError, 409],
+  [ValidationError, 422],
+  [NotNullViolationError, 422],
+  [DataTooLongError, 422],
+  [DeadlockError, 503],
+  [LockWaitTimeoutError, 503],
+  [ConnectionError, 503]
+];
+
+const errorResponse = (err, fallback = 500) => {
+  const match = STATUS_BY_ERROR.find(([type]) => err instanceof type);
+  const body = { error: err.message };
+  if (err.errors) body.errors = err.errors;
+  return { status: match ? match[1] : fallback, body };
+};
+
+const NOT_FOUND = { status: 404, body: { error: 'Not found' } };
+
+// A route handler that answers errors instead of throwing them
+const handled = (handler, fallback) => async (request) => {
+  try {
+    return await handler(request);
+  } catch (err) {
+    return errorResponse(err, fallback);
+  }
+};
+
+// Apps that already serve the metrics route or the OpenAPI document, so
+// generating several tables' routes with the same option mounts it once
+const metricsMounted = new WeakSet();
+const openApiMounted = new WeakSet();
+
+// `options.openapi` as { path, file, info }
+const openApiOptions = (openapi) => {
+  if (typeof openapi === 'string') return { path: openapi };
+  if (openapi === true) return { path: '/openapi.json' };
+  return { path: '/openapi.json', ...openapi };
+};
+
+// Plain `column: value` pairs of a scope, which writes set so rows stay in it
+const scopeValues = (conditions) => Object.fromEntries(Object.entries(conditions || {}).filter(([key, value]) =>
+  !key.startsWith('$') && (value === null || typeof value !== 'object' || value instanceof Date)
+));
+
+/**
+ * Framework-independent REST routes for `table`, which the adapters in
+ * adapters.js mount on Express, Fastify, Koa or a plain `http` server.
+ *
+ * `routesFor(app)` lists the routes to mount on `app` as `{ operation,
+ * method, path, middleware, handle }`. `path` uses `:id` placeholders;
+ * `handle({ params, query, body, url, raw })` never throws and resolves
+ * `{ status, headers, body }`, a string body being sent as is and anything
+ * else as JSON. `raw` is the framework's own request, which `scope` gets.
+ *
+ * - `metrics`: true mounts db.getPrometheusMetrics() at /metrics, a string
+ *   mounts it at that path
+ * - `perPage` (20) and `maxPerPage` (100) bound the list route's pages
+ * - `schema`: what request bodies are checked against (see validation.js),
+ *   by default one derived from the table's columns without the `readOnly`
+ *   ones; `false` passes bodies through unchecked
+ * - `primaryKey` ('id') addresses rows; `hardDelete` makes DELETE remove
+ *   them; `maxBulk` (1000) caps bulk creates
+ * - `operations`: `{ name: false }` leaves a route out; `middleware`:
+ *   `{ all, name }` handlers in the framework's own style that run before a
+ *   route's own
+ * - `readable` / `writable`: the columns responses show and bodies may set
+ * - `scope(req)`: conditions every route's reads and writes are limited to,
+ *   e.g. `{ tenant_id: req.user.tenantId }`; null for no limit
+ * - `openapi`: true serves an OpenAPI document of every table's routes on
+ *   the app at /openapi.json, a string at that path; `{ path, file, info }`
+ *   can also write it to `file` (see openapi.js)
+ */
+const createCrudRoutes = (table, db, options = {}) => {
+    const base = `/${table}`;
+    const {
+      metrics = false,
+      schema,
+      readOnly = READ_ONLY_COLUMNS,
+      primaryKey = 'id',
+      hardDelete = false,
+      maxBulk = 1000,
+      perPage = 20,
+      maxPerPage = 100,
+      operations = {},
+      middleware = {},
+      readable = null,
+      writable = null,
+      scope = null,
+      openapi = false
+    } = options;
+
+    for (const name of [...Object.keys(operations), ...Object.keys(middleware)]) {
+      if (name !== 'all' && !OPERATIONS.includes(name)) {
+        throw new Error(`Unknown CRUD operation '${name}'; expected one of ${OPERATIONS.join(', ')}`);
+      }
+    }
+
+    // Adds an operation's route behind its middleware, unless disabled;
+    // errors become responses with their status or `fallback`
+    const routes = [];
+    const route = (operation, method, path, handler, fallback = 500) => {
+      if (operations[operation] === false) return;
+      routes.push({
+        operation,
+        method,
+        path,
+        middleware: [].concat(middleware.all || [], middleware[operation] || []),
+        handle: handled(handler, fallback)
+      });
+    };
+
+    const scopeOf = async (request) => (scope ? (await scope(request.raw)) || null : null);
+    const scoped = (conditions, limits) => (limits ? { $and: [limits, conditions] } : conditions);
+
+    // Rows as clients may see them
+    const visible = (row) => (row && readable
+      ? Object.fromEntries(Object.entries(row).filter(([column]) => readable.includes(column)))
+      : row);
+
+    const checkReadable = (columns) => {
+      const hidden = readable ? columns.filter(column => column !== '*' && !readable.includes(column)) : [];
+      if (hidden.length > 0) throw new ValidationError(`Column '${hidden[0]}' is not readable`);
+    };
+
+    // Only writable fields, minus the ones the scope sets itself
+    const writableSchema = (bodySchema, fixed) => {
+      const allowed = (column) => (!writable || writable.includes(column)) && !(column in fixed);
+      return {
+        ...bodySchema,
+        properties: Object.fromEntries(Object.entries(bodySchema.properties || {}).filter(([column]) => allowed(column))),
+        required: (bodySchema.required || []).filter(allowed)
+      };
+    };
+
+    // What bodies are checked against before the scope takes its columns
+    const bodySchemaOf = async (fixed = {}) =>
+      writableSchema(schema || toJsonSchema(await db.getColumns(table), { exclude: readOnly }), fixed);
+
+    // The body's declared fields, checked for a 'create', 'replace' or
+    // 'update' (see validateBody), with the scope's values set
+    const bodyOf = async (body, mode = 'create', limits = null) => {
+      const fixed = scopeValues(limits);
+      let data = body;
+      if (schema !== false) {
+        data = validateBody(await bodySchemaOf(fixed), body, { mode });
+      } else if (writable && body && typeof body === 'object') {
+        data = Object.fromEntries(Object.entries(body).filter(([column]) => writable.includes(column) && !(column in fixed)));
+      }
+      if (mode === 'update' && Object.keys(data).length === 0) {
+        throw new ValidationError('Request body has no fields to update', { errors: [] });
+      }
+      return { ...data, ...fixed };
+    };
+
+    // `params.id`'s row within the request's scope; writes use the same
+    // conditions, so a row outside it is never touched
+    const byId = (request, limits) => scoped({ [primaryKey]: request.params.id }, limits);
+
+    const findScoped = async (request, limits, source = db) => await source.findOne(table, byId(request, limits));
+
+    // List - filters, sort, fields and pagination from the query string
+    // (see crudQuery.js), with Link headers to the neighbouring pages
+    route('list', 'get', base, async (request) => {
+      const query = parseListQuery(request.query, { perPage, maxPerPage });
+      const { sort, orderBy } = query;
+      const columns = readable && query.columns.includes('*') ? readable : query.columns;
+      checkReadable([...Object.keys(query.where), ...sort.map(entry => entry.column), ...columns]);
+      const where = scoped(query.where, await scopeOf(request));
+
+      if (query.mode === 'cursor') {
+        const { cursor, cursorColumn, direction } = query;
+        checkReadable([cursorColumn]);
+        const { data, nextCursor, hasMore } = await db.cursorPaginate(table, {
+          where, columns, cursor, cursorColumn, direction, limit: query.perPage
+        });
+        const link = linkHeader(request.url, { next: hasMore && { cursor: nextCursor } });
+        return {
+          status: 200,
+          headers: link ? { Link: link } : {},
+          body: { data: data.map(visible), pagination: { perPage: query.perPage, nextCursor, hasMore } }
+        };
+      }
+
+      const result = await db.paginate(table, { where, orderBy, columns, page: query.page, perPage: query.perPage });
+      const { page, totalPages } = result.pagination;
+      const link = linkHeader(request.url, {
+        first: { page: 1 },
+        prev: page > 1 && { page: Math.min(page - 1, Math.max(totalPages, 1)) },
+        next: page < totalPages && { page: page + 1 },
+        last: { page: Math.max(totalPages, 1) }
+      });
+      return { status: 200, headers: link ? { Link: link } : {}, body: { ...result, data: result.data.map(visible) } };
+    });
+
+    // Count - the list route's filters
+    route('count', 'get', `${base}/count`, async (request) => {
+      const where = parseFilters(request.query);
+      checkReadable(Object.keys(where));
+      const count = await db.count(table, scoped(where, await scopeOf(request)));
+      return { status: 200, body: { count } };
+    });
+
+    // Get by ID
+    route('get', 'get', `${base}/:id`, async (request) => {
+      const data = await findScoped(request, await scopeOf(request));
+      if (!data) return NOT_FOUND;
+      return { status: 200, body: visible(data) };
+    });
+
+    // Create
+    route('create', 'post', base, async (request) => {
+      const data = await bodyOf(request.body, 'create', await scopeOf(request));
+      const id = await db.insert(table, data, primaryKey);
+      return { status: 201, body: { id } };
+    }, 400);
+
+    // Bulk create - one transaction; a row that fails validation rejects the
+    // whole request, with each error's row `index`
+    route('bulkCreate', 'post', `${base}/bulk`, async (request) => {
+      const { body } = request;
+      if (!Array.isArray(body) || body.length === 0) {
+        throw new ValidationError('Request body must be a non-empty array', { errors: [] });
+      }
+      if (body.length > maxBulk) {
+        throw new ValidationError(`A bulk request takes at most ${maxBulk} rows`, { errors: [] });
+      }
+
+      const limits = await scopeOf(request);
+      const rows = [];
+      const errors = [];
+      for (const [index, row] of body.entries()) {
+        try {
+          rows.push(await bodyOf(row, 'create', limits));
+        } catch (err) {
+          if (!(err instanceof ValidationError)) throw err;
+          const rowErrors = err.errors && err.errors.length > 0 ? err.errors : [{ field: null, message: err.message }];
+          errors.push(...rowErrors.map(error => ({ index, ...error })));
+        }
+      }
+      if (errors.length > 0) throw new ValidationError('Request body is invalid', { errors });
+
+      const created = await db.bulkInsertAndReturn(table, rows, primaryKey);
+      return { status: 201, body: created.map(visible) };
+    }, 400);
+
+    // PUT replaces every writable field, resetting the ones it leaves out to
+    // their default or null; PATCH updates the ones it gets. Both answer with
+    // the updated row. Not updateByIdAndReturn(): its UPDATE and read-back
+    // match the id alone, and both must carry the scope's conditions too.
+    const update = (mode) => async (request) => {
+      const limits = await scopeOf(request);
+      const data = await bodyOf(request.body, mode, limits);
+      if (!(await findScoped(request, limits))) return NOT_FOUND;
+      if (!(await db.updateWhere(table, byId(request, limits), data))) return NOT_FOUND;
+      return { status: 200, body: visible(await findScoped(request, limits, db.primary())) };
+    };
+
+    route('replace', 'put', `${base}/:id`, update('replace'), 400);
+    route('update', 'patch', `${base}/:id`, update('update'), 400);
+
+    // Delete - soft unless `options.hardDelete`; rows already hidden by the
+    // soft-delete scope are a 404
+    route('delete', 'delete', `${base}/:id`, async (request) => {
+      const limits = await scopeOf(request);
+      if (!(await findScoped(request, limits))) return NOT_FOUND;
+      if (!(await db.deleteWhere(table, byId(request, limits), !hardDelete))) return NOT_FOUND;
+      return { status: 200, body: { success: true } };
+    });
+
+    // Restore a soft-deleted row and answer with it
+    if (!hardDelete) {
+      route('restore', 'post', `${base}/:id/restore`, async (request) => {
+        const limits = await scopeOf(request);
+        if (!(await findScoped(request, limits, db.onlyTrashed()))) return NOT_FOUND;
+        if (!(await db.restoreWhere(table, byId(request, limits)))) return NOT_FOUND;
+        return { status: 200, body: visible(await findScoped(request, limits, db.primary())) };
+      });
+    }
+
+    // The metrics and OpenAPI routes, the first time `app` gets them
+    const appRoutes = (app) => {
+      const extra = [];
+      const add = (operation, path, handler) => extra.push({
+        operation, method: 'get', path, middleware: [], handle: handled(handler)
+      });
+
+      if (openapi && !openApiMounted.has(app)) {
+        openApiMounted.add(app);
+        const { path, file, info } = openApiOptions(openapi);
+        if (path) {
+          add('openapi', path, async () => ({ status: 200, body: await openApiDocument(app, info) }));
+        }
+        // Written once every table mounted in the same tick has registered
+        if (file) {
+          setImmediate(() => {
+            openApiDocument(app, info)
+              .then(document => fs.promises.writeFile(file, `${JSON.stringify(document, null, 2)}\n`))
+              .catch(err => process.emitWarning(`Could not write OpenAPI document to ${file}: ${err.message}`));
+          });
+        }
+      }
+
+      if (metrics && !metricsMounted.has(app)) {
+        metricsMounted.add(app);
+        add('metrics', typeof metrics === 'string' ? metrics : '/metrics', async () => ({
+          status: 200,
+          headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' },
+          body: db.getPrometheusMetrics()
+        }));
+      }
+
+      return extra;
+    };
+
+    return {
+      table,
+      routesFor: (app) => {
+        registerTable(app, {
+          table,
+          operations: routes.map(entry => entry.operation),
+          primaryKey,
+          perPage,
+          maxPerPage,
+          maxBulk,
+          hardDelete,
+          readable,
+          readOnly,
+          columns: () => db.getColumns(table),
+          bodySchema: () => (schema === false ? null : bodySchemaOf())
+        });
+        return [...appRoutes(app), ...routes];
+      }
+    };
+  };
+
+module.exports = {
+  createCrudRoutes
+};
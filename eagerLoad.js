@@ -0,0 +1,148 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * Eager loading - Attach relations declared with defineModel() to rows that
+ * were already fetched, with one `IN (...)` query per relation level
+ */
+
+const addNode = (tree, name, options = {}) => {
+  const node = tree[name] || (tree[name] = { columns: null, where: {}, with: {} });
+  if (options.columns) node.columns = options.columns;
+  if (options.where) node.where = options.where;
+  if (options.with) parseWith(options.with, node.with);
+  return node;
+};
+
+/**
+ * Normalize a `with` spec into a relation tree:
+ *
+ *   ['posts', 'roles.permissions', { posts: { columns: ['id', 'title'], where: { published: 1 } } }]
+ *
+ * Dotted names load nested relations; the object form sets `columns`,
+ * `where` and a nested `with` for that relation.
+ */
+const parseWith = (spec = [], tree = {}) => {
+  const entries = Array.isArray(spec) ? spec : [spec];
+
+  for (const entry of entries) {
+    if (typeof entry === 'string') {
+      const [name, ...rest] = entry.split('.');
+      const node = addNode(tree, name);
+      if (rest.length > 0) parseWith(rest.join('.'), node.with);
+    } else if (entry && typeof entry === 'object') {
+      for (const [path, options] of Object.entries(entry)) {
+        const [name, ...rest] = path.split('.');
+        if (rest.length > 0) {
+          parseWith({ [rest.join('.')]: options }, addNode(tree, name).with);
+        } else {
+          addNode(tree, name, options === true ? {} : options);
+        }
+      }
+    } else {
+      throw new ValidationError(`Invalid eager-load entry: ${entry}`);
+    }
+  }
+
+  return tree;
+};
+
+const isPresent = (value) => value !== null && value !== undefined;
+
+// Keys are compared as strings, so BIGINT ids returned as strings still match
+const groupBy = (rows, key) => {
+  const groups = new Map();
+  for (const row of rows) {
+    const value = String(row[key]);
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(row);
+  }
+  return groups;
+};
+
+// Column list that always carries the keys needed to attach and nest rows
+const withKeys = (columns, keys) => {
+  if (!columns || columns.includes('*')) return ['*'];
+  return [...new Set([...columns, ...keys])];
+};
+
+/**
+ * Load every relation in `tree` for `rows` of `table` and attach it under the
+ * relation's name: an array for hasMany / belongsToMany, a row or null for
+ * hasOne / belongsTo. `getDefinition(table)` returns a model definition.
+ */
+const loadRelations = async (db, table, rows, tree, getDefinition) => {
+  if (rows.length === 0) return rows;
+
+  const definition = getDefinition(table) || {};
+  const relations = definition.relations || {};
+  const primaryKey = definition.primaryKey || 'id';
+
+  for (const [name, node] of Object.entries(tree)) {
+    const relation = relations[name];
+    if (!relation) {
+      throw new ValidationError(`Unknown relation '${name}' on table '${table}'`);
+    }
+
+    const { type, table: target, foreignKey, pivot } = relation;
+    const targetDefinition = getDefinition(target) || {};
+    const targetKey = targetDefinition.primaryKey || 'id';
+
+    // Keys the nested level reads from this level's rows
+    const nestedKeys = Object.keys(node.with).map(childName => {
+      const child = (targetDefinition.relations || {})[childName];
+      return child && child.type === 'belongsTo' ? child.foreignKey : targetKey;
+    });
+
+    // ownKey is read from the parent rows, matchKey from the related rows
+    let ownKey;
+    let matchKey;
+    let fetch;
+
+    if (type === 'belongsToMany') {
+      const pivotKey = `${table}_id`;
+      ownKey = primaryKey;
+      matchKey = pivotKey;
+      fetch = (ids) => db.join({
+        baseTable: target,
+        joinTable: pivot,
+        baseKey: targetKey,
+        joinKey: `${target}_id`,
+        columns: [
+          ...withKeys(node.columns, [targetKey, ...nestedKeys])
+            .map(column => (column.includes('.') ? column : `${target}.${column}`)),
+          `${pivot}.${pivotKey}`
+        ],
+        conditions: { $and: [node.where, { [`${pivot}.${pivotKey}`]: { $in: ids } }] }
+      });
+    } else {
+      [ownKey, matchKey] = type === 'belongsTo' ? [foreignKey, targetKey] : [primaryKey, foreignKey];
+      fetch = (ids) => db.select(target, {
+        columns: withKeys(node.columns, [matchKey, ...nestedKeys]),
+        where: { $and: [node.where, { [matchKey]: { $in: ids } }] },
+        limit: null
+      });
+    }
+
+    const ids = [...new Set(rows.map(row => row[ownKey]).filter(isPresent))];
+    const related = ids.length > 0 ? await fetch(ids) : [];
+    await loadRelations(db, target, related, node.with, getDefinition);
+
+    const groups = groupBy(related, matchKey);
+    if (type === 'belongsToMany') {
+      related.forEach(row => { delete row[matchKey]; });
+    }
+
+    const many = type === 'hasMany' || type === 'belongsToMany';
+    for (const row of rows) {
+      const matches = isPresent(row[ownKey]) ? groups.get(String(row[ownKey])) || [] : [];
+      row[name] = many ? matches : matches[0] || null;
+    }
+  }
+
+  return rows;
+};
+
+module.exports = {
+  parseWith,
+  loadRelations
+};
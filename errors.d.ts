@@ -0,0 +1,61 @@
+/** Base class of every error the library raises or converts */
+export class DbError extends Error {
+  constructor(message: string, details?: Record<string, unknown>);
+  cause?: unknown;
+}
+
+/** Bad input: unknown columns, malformed conditions, unsupported operators */
+export class ValidationError extends DbError {}
+
+export class TableNotAllowedError extends DbError {
+  constructor(table: string);
+  table: string;
+}
+
+export class NotFoundError extends DbError {
+  constructor(message?: string, details?: Record<string, unknown>);
+  table?: string;
+  id?: unknown;
+}
+
+/** A statement MySQL rejected */
+export class QueryError extends DbError {
+  code: string;
+  errno?: number;
+  sqlState?: string;
+  sqlMessage?: string;
+  sql?: string;
+  table?: string | null;
+}
+
+export class UniqueViolationError extends QueryError {
+  /** Name of the violated index */
+  key?: string;
+  value?: string;
+  /** Columns of the index, or null when they couldn't be looked up */
+  columns: string[] | null;
+}
+
+export class ForeignKeyViolationError extends QueryError {
+  constraint?: string;
+  column?: string;
+  referencedTable?: string;
+  referencedColumn?: string;
+}
+
+export class NotNullViolationError extends QueryError {
+  column?: string;
+}
+
+export class DataTooLongError extends QueryError {
+  column?: string;
+}
+
+export class DeadlockError extends QueryError {}
+
+export class LockWaitTimeoutError extends QueryError {}
+
+export class ConnectionError extends QueryError {}
+
+/** Converts a mysql2 error into the matching QueryError subclass; other errors pass through */
+export function fromMysqlError(err: unknown, context?: { sql?: string; table?: string | null }): unknown;
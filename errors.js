@@ -0,0 +1,131 @@
+/**
+ * Error classes. Every error the library raises on purpose is a DbError;
+ * MySQL errors are converted by fromMysqlError() and keep the driver's
+ * `code`, `errno`, `sqlState` and `sqlMessage`, with the original as `cause`.
+ */
+class DbError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    Object.assign(this, details);
+  }
+}
+
+// Bad input: unknown columns, malformed conditions, unsupported operators
+class ValidationError extends DbError {}
+
+class TableNotAllowedError extends DbError {
+  constructor(table) {
+    super(`Table '${table}' is not allowed.`, { table });
+  }
+}
+
+class NotFoundError extends DbError {
+  constructor(message = 'Record not found', details = {}) {
+    super(message, details);
+  }
+}
+
+// A statement MySQL rejected; the subclasses below cover the codes callers
+// usually want to handle
+class QueryError extends DbError {}
+
+// `key` is the index name, `columns` its columns when they could be looked up
+class UniqueViolationError extends QueryError {}
+
+// `constraint`, and when MySQL reports them the referencing `table` and
+// `column` and the `referencedTable` and `referencedColumn`
+class ForeignKeyViolationError extends QueryError {}
+
+class NotNullViolationError extends QueryError {}
+
+class DataTooLongError extends QueryError {}
+
+class DeadlockError extends QueryError {}
+
+class LockWaitTimeoutError extends QueryError {}
+
+class ConnectionError extends QueryError {}
+
+const CONNECTION_CODES = [
+  'PROTOCOL_CONNECTION_LOST', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EHOSTUNREACH', 'EPIPE', 'ER_CON_COUNT_ERROR'
+];
+
+const unquote = (name) => name && name.replace(/^`|`$/g, '');
+
+// "Duplicate entry 'a@b.c' for key 'users.email'" (MySQL 8 prefixes the table)
+const parseDuplicate = (message) => {
+  const match = /Duplicate entry '(.*)' for key '(.+)'$/s.exec(message || '');
+  if (!match) return {};
+  const [, value, qualified] = match;
+  const dot = qualified.lastIndexOf('.');
+  return dot === -1
+    ? { value, key: qualified }
+    : { value, key: qualified.slice(dot + 1), table: qualified.slice(0, dot) };
+};
+
+// "... a foreign key constraint fails (`shop`.`posts`, CONSTRAINT `posts_ibfk_1`
+// FOREIGN KEY (`user_id`) REFERENCES `users` (`id`))"
+const parseForeignKey = (message) => {
+  const match = /\(`[^`]+`\.`([^`]+)`, CONSTRAINT `([^`]+)` FOREIGN KEY \(([^)]+)\) REFERENCES `([^`]+)` \(([^)]+)\)/.exec(message || '');
+  if (!match) return {};
+  const [, table, constraint, column, referencedTable, referencedColumn] = match;
+  return { table, constraint, column: unquote(column), referencedTable, referencedColumn: unquote(referencedColumn) };
+};
+
+// "Data too long for column 'name' at row 1", "Column 'name' cannot be null"
+const parseColumn = (message) => {
+  const match = /[Cc]olumn '([^']+)'/.exec(message || '');
+  return match ? { column: match[1] } : {};
+};
+
+/**
+ * Convert a mysql2 error into the matching QueryError subclass. `context`
+ * adds `sql` and `table`; errors that already are DbErrors pass through.
+ */
+const fromMysqlError = (err, context = {}) => {
+  if (err instanceof DbError || !err || !err.code) return err;
+  const isMysqlError = Boolean(err.sqlState) || String(err.code).startsWith('ER_');
+  if (!isMysqlError && !CONNECTION_CODES.includes(err.code)) return err;
+
+  const { code, errno, sqlState, sqlMessage } = err;
+  const details = { ...context, code, errno, sqlState, sqlMessage, cause: err };
+  const message = sqlMessage || err.message;
+
+  switch (code) {
+    case 'ER_DUP_ENTRY':
+      return new UniqueViolationError(message, { ...details, ...parseDuplicate(message), columns: null });
+    case 'ER_NO_REFERENCED_ROW':
+    case 'ER_NO_REFERENCED_ROW_2':
+    case 'ER_ROW_IS_REFERENCED':
+    case 'ER_ROW_IS_REFERENCED_2':
+      return new ForeignKeyViolationError(message, { ...details, ...parseForeignKey(message) });
+    case 'ER_BAD_NULL_ERROR':
+      return new NotNullViolationError(message, { ...details, ...parseColumn(message) });
+    case 'ER_DATA_TOO_LONG':
+      return new DataTooLongError(message, { ...details, ...parseColumn(message) });
+    case 'ER_LOCK_DEADLOCK':
+      return new DeadlockError(message, details);
+    case 'ER_LOCK_WAIT_TIMEOUT':
+      return new LockWaitTimeoutError(message, details);
+    default:
+      if (CONNECTION_CODES.includes(code)) return new ConnectionError(message, details);
+      return new QueryError(message, details);
+  }
+};
+
+module.exports = {
+  DbError,
+  ValidationError,
+  TableNotAllowedError,
+  NotFoundError,
+  QueryError,
+  UniqueViolationError,
+  ForeignKeyViolationError,
+  NotNullViolationError,
+  DataTooLongError,
+  DeadlockError,
+  LockWaitTimeoutError,
+  ConnectionError,
+  fromMysqlError
+};
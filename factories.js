@@ -0,0 +1,117 @@
+const { toLimit } = require('./identifiers');
+
+// Definitions, overrides and single attributes may be functions of the
+// row's sequence number
+const resolve = (value, sequence) => (typeof value === 'function' ? value(sequence) : value);
+
+const buildRow = (definition, overrides, sequence) => {
+  const attributes = {};
+  for (const source of [definition, ...overrides]) {
+    for (const [key, value] of Object.entries(resolve(source, sequence) || {})) {
+      attributes[key] = resolve(value, sequence);
+    }
+  }
+  return attributes;
+};
+
+/**
+ * Factory - Build or insert rows for dev and test data from a definition
+ * registered with db.defineFactory(). Each row gets the table's next
+ * sequence number:
+ *
+ *   db.defineFactory('users', (n) => ({ name: `User ${n}`, email: `user${n}@example.com` }));
+ *   const user = await db.factory('users').has('posts', 3).create({ role: 'admin' });
+ *
+ * `entry` holds the definition and its running sequence; `relationFor` and
+ * `factoryFor` resolve has() targets.
+ */
+const createFactory = (db, table, entry, options = {}) => {
+  const {
+    primaryKey = 'id',
+    relationFor = () => null,
+    factoryFor
+  } = options;
+
+  const state = {
+    count: 1,
+    many: false,
+    overrides: [],
+    children: []
+  };
+
+  const buildRows = (overrides = {}) => Array.from({ length: state.count }, () => {
+    entry.sequence += 1;
+    return buildRow(entry.definition, [...state.overrides, overrides], entry.sequence);
+  });
+
+  // has() accepts a model relation name or an explicit { table, foreignKey, as }
+  const resolveChild = (relation) => {
+    if (relation && typeof relation === 'object') {
+      const { table: target, foreignKey, as = target } = relation;
+      if (!target || !foreignKey) throw new Error('has() needs a table and a foreignKey');
+      return { name: as, table: target, foreignKey, many: true };
+    }
+
+    const definition = relationFor(relation);
+    if (!definition || !['hasMany', 'hasOne'].includes(definition.type)) {
+      throw new Error(`has() needs a hasMany or hasOne relation; '${relation}' isn't one on '${table}'`);
+    }
+    return { name: relation, table: definition.table, foreignKey: definition.foreignKey, many: definition.type === 'hasMany' };
+  };
+
+  const builder = {
+    // Number of rows to make or create; results come back as an array
+    count: (count) => {
+      state.count = toLimit(count, 'count');
+      state.many = true;
+      return builder;
+    },
+
+    // Attribute overrides applied on top of the definition
+    state: (overrides) => {
+      state.overrides.push(overrides);
+      return builder;
+    },
+
+    // Create `count` child rows per parent through the child table's factory
+    has: (relation, count = 1, overrides = {}) => {
+      state.children.push({ ...resolveChild(relation), count, overrides });
+      return builder;
+    },
+
+    // Build rows without inserting them
+    make: (overrides = {}) => {
+      const rows = buildRows(overrides);
+      return state.many ? rows : rows[0];
+    },
+
+    // Insert rows with bulkInsertAndReturn, then their children with the
+    // generated ids, all in one transaction
+    create: async (overrides = {}) => await db.transaction(async (tx) => {
+      const records = await tx.bulkInsertAndReturn(table, buildRows(overrides), primaryKey);
+
+      for (const child of state.children) {
+        const childFactory = factoryFor(tx, child.table);
+        const created = [];
+        for (const record of records) {
+          const rows = await childFactory.count(child.count).create({
+            ...child.overrides,
+            [child.foreignKey]: record[primaryKey]
+          });
+          created.push(...rows);
+        }
+
+        records.forEach(record => {
+          const matches = created.filter(row => String(row[child.foreignKey]) === String(record[primaryKey]));
+          record[child.name] = child.many ? matches : matches[0] || null;
+        });
+      }
+
+      return state.many ? records : records[0];
+    })
+  };
+
+  return builder;
+};
+
+module.exports = createFactory;
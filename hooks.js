@@ -0,0 +1,73 @@
+const HOOK_TYPES = ['before', 'after'];
+const HOOK_OPERATIONS = ['select', 'insert', 'update', 'upsert', 'delete', 'restore'];
+
+/**
+ * Hooks - Ordered before/after listeners per operation, for every table or
+ * just one.
+ *
+ * Before-listeners run in registration order and may return a replacement
+ * context (returning nothing keeps it); throwing aborts the operation.
+ * After-listeners run in registration order once the statement succeeded.
+ */
+const createHooks = (enabled = true) => {
+  // type -> operation -> [{ table, callback }]
+  const listeners = { before: {}, after: {} };
+
+  const check = (type, operation) => {
+    if (!HOOK_TYPES.includes(type)) {
+      throw new Error('Hook type must be "before" or "after"');
+    }
+    if (!HOOK_OPERATIONS.includes(operation)) {
+      throw new Error(`Unsupported hook operation '${operation}'; expected one of ${HOOK_OPERATIONS.join(', ')}`);
+    }
+  };
+
+  const matching = (type, operation, table) =>
+    (listeners[type][operation] || []).filter(listener => listener.table === null || listener.table === table);
+
+  const hooks = {
+    // Returns a function that removes this listener again
+    add: (type, operation, table, callback) => {
+      check(type, operation);
+      if (typeof callback !== 'function') {
+        throw new Error('Hook callback must be a function');
+      }
+      const listener = { table, callback };
+      (listeners[type][operation] = listeners[type][operation] || []).push(listener);
+      return () => {
+        listeners[type][operation] = listeners[type][operation].filter(entry => entry !== listener);
+      };
+    },
+
+    // Without a table or callback, removes every listener of the operation
+    remove: (type, operation, table = null, callback = null) => {
+      check(type, operation);
+      listeners[type][operation] = (listeners[type][operation] || []).filter(listener =>
+        !((table === null || listener.table === table) && (callback === null || listener.callback === callback))
+      );
+    },
+
+    has: (type, operation, table) => enabled && matching(type, operation, table).length > 0,
+
+    before: async (operation, context) => {
+      if (!enabled) return context;
+      let current = context;
+      for (const { callback } of matching('before', operation, context.table)) {
+        const result = await callback(current);
+        if (result !== undefined) current = result;
+      }
+      return current;
+    },
+
+    after: async (operation, context) => {
+      if (!enabled) return;
+      for (const { callback } of matching('after', operation, context.table)) {
+        await callback(context);
+      }
+    }
+  };
+
+  return hooks;
+};
+
+module.exports = createHooks;
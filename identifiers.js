@@ -0,0 +1,135 @@
+const sqlString = require('sqlstring');
+const { ValidationError } = require('./errors');
+
+const IDENTIFIER_PATTERN = /^[A-Za-z0-9_$]+$/;
+const SORT_DIRECTIONS = ['ASC', 'DESC'];
+
+/**
+ * Raw SQL marker - the only way to pass an expression where the helpers
+ * expect a column, order, group or filter
+ */
+class RawExpression {
+  constructor(sql, params = []) {
+    if (typeof sql !== 'string' || !sql.trim()) {
+      throw new ValidationError('rawExpr requires a non-empty SQL string');
+    }
+    if (!Array.isArray(params)) {
+      throw new ValidationError('rawExpr params must be an array');
+    }
+    this.sql = sql;
+    this.params = params;
+  }
+}
+
+const rawExpr = (sql, params = []) => new RawExpression(sql, params);
+
+const isRawExpr = (value) => value instanceof RawExpression;
+
+// Raw expressions in column lists and ORDER/GROUP BY can't carry parameters,
+// because those clauses are assembled apart from the statement's values
+const rawWithoutParams = (expr, where) => {
+  if (expr.params.length > 0) {
+    throw new ValidationError(`rawExpr parameters are not supported in ${where}`);
+  }
+  return expr.sql;
+};
+
+const quoteIdentifier = (name) => {
+  if (typeof name !== 'string' || !IDENTIFIER_PATTERN.test(name)) {
+    throw new ValidationError(`Invalid identifier: ${name}`);
+  }
+  return sqlString.escapeId(name);
+};
+
+const normalizeDirection = (direction = 'ASC') => {
+  const upper = String(direction).trim().toUpperCase();
+  if (!SORT_DIRECTIONS.includes(upper)) {
+    throw new ValidationError(`Invalid sort direction: ${direction}`);
+  }
+  return upper;
+};
+
+const toLimit = (value, name = 'limit') => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new ValidationError(`${name} must be a non-negative integer`);
+  }
+  return number;
+};
+
+/**
+ * Column resolver for one statement. `known` maps every qualifier the
+ * statement may use (table names, join aliases) to the set of real column
+ * names, or to null when columns aren't checked. Unqualified references
+ * belong to `defaultQualifier`.
+ */
+const createColumnResolver = (defaultQualifier, known) => {
+  const assertKnown = (qualifier, column, ref) => {
+    if (!Object.prototype.hasOwnProperty.call(known, qualifier)) {
+      throw new ValidationError(`Unknown table or alias '${qualifier}' in column '${ref}'`);
+    }
+    const columns = known[qualifier];
+    if (columns && column !== '*' && !columns.has(column)) {
+      throw new ValidationError(`Unknown column '${column}' in table '${qualifier}'`);
+    }
+  };
+
+  const column = (ref) => {
+    if (isRawExpr(ref)) return rawWithoutParams(ref, 'column references');
+    if (typeof ref !== 'string' || !ref.trim()) throw new ValidationError(`Invalid column: ${ref}`);
+
+    const trimmed = ref.trim();
+    if (trimmed === '*') return '*';
+
+    const parts = trimmed.split('.');
+    if (parts.length > 2) throw new ValidationError(`Invalid column: ${ref}`);
+
+    const [qualifier, name] = parts.length === 2 ? parts : [null, parts[0]];
+    assertKnown(qualifier || defaultQualifier, name, ref);
+
+    const quotedName = name === '*' ? '*' : quoteIdentifier(name);
+    return qualifier ? `${quoteIdentifier(qualifier)}.${quotedName}` : quotedName;
+  };
+
+  // Select lists: arrays, comma-separated strings, or a single rawExpr
+  const select = (columns = ['*']) => {
+    if (isRawExpr(columns)) return rawWithoutParams(columns, 'column lists');
+    const list = Array.isArray(columns) ? columns : String(columns).split(',');
+    if (list.length === 0) return '*';
+    return list.map(column).join(', ');
+  };
+
+  // ORDER BY entries: 'col', 'col DESC', { column, direction } or rawExpr
+  const orderBy = (entries = []) => {
+    const list = Array.isArray(entries) ? entries : [entries];
+    return list.map(entry => {
+      if (isRawExpr(entry)) return rawWithoutParams(entry, 'ORDER BY');
+      if (typeof entry === 'string') {
+        const [ref, direction = 'ASC', ...rest] = entry.trim().split(/\s+/);
+        if (rest.length > 0) throw new ValidationError(`Invalid order clause: ${entry}`);
+        return `${column(ref)} ${normalizeDirection(direction)}`;
+      }
+      if (entry && typeof entry === 'object') {
+        return `${column(entry.column)} ${normalizeDirection(entry.direction || 'ASC')}`;
+      }
+      throw new ValidationError(`Invalid order clause: ${entry}`);
+    }).join(', ');
+  };
+
+  const groupBy = (entries = []) => {
+    const list = Array.isArray(entries) ? entries : [entries];
+    return list.map(entry => (isRawExpr(entry) ? rawWithoutParams(entry, 'GROUP BY') : column(entry))).join(', ');
+  };
+
+  return { column, select, orderBy, groupBy };
+};
+
+module.exports = {
+  RawExpression,
+  rawExpr,
+  isRawExpr,
+  quoteIdentifier,
+  normalizeDirection,
+  toLimit,
+  createColumnResolver
+};
@@ -0,0 +1,875 @@
+import { EventEmitter } from 'events';
+import type { IncomingMessage, ServerResponse } from 'http';
+import type { Pool, PoolConnection, ResultSetHeader } from 'mysql2/promise';
+
+export * from './errors';
+
+// ========================================
+// TABLES, ROWS & CONDITIONS
+// ========================================
+
+/** A row as mysql2 returns it */
+export type Row = Record<string, any>;
+
+/**
+ * Map of table name -> row type, passed to createDb<Tables>(). Without one
+ * every table name is accepted and rows are `Row`.
+ */
+export type TableMap = Record<string, Row>;
+
+export type TableName<T extends TableMap> = Extract<keyof T, string>;
+export type ColumnOf<R> = Extract<keyof R, string>;
+export type Id = string | number;
+export type Direction = 'ASC' | 'DESC' | 'asc' | 'desc';
+
+/** Marker for deliberate raw SQL, built with rawExpr() */
+export class RawExpression {
+  constructor(sql: string, params?: unknown[]);
+  readonly sql: string;
+  readonly params: unknown[];
+}
+
+/** Date columns also take ISO strings and timestamps */
+export type ConditionValue<V> = V extends Date ? Date | string | number : V;
+
+export interface OperatorCondition<V> {
+  $eq?: ConditionValue<V> | null;
+  $ne?: ConditionValue<V> | null;
+  $gt?: ConditionValue<V>;
+  $gte?: ConditionValue<V>;
+  $lt?: ConditionValue<V>;
+  $lte?: ConditionValue<V>;
+  $in?: ConditionValue<V>[];
+  $nin?: ConditionValue<V>[];
+  $like?: string;
+  $notLike?: string;
+  $between?: [ConditionValue<V>, ConditionValue<V>];
+  $notBetween?: [ConditionValue<V>, ConditionValue<V>];
+  $null?: boolean;
+}
+
+/** Conditions syntax shared by every method that takes `where` / `conditions` */
+export type Conditions<R = Row> = {
+  [C in keyof R]?: ConditionValue<R[C]> | null | OperatorCondition<R[C]>;
+} & {
+  $or?: Conditions<R> | Conditions<R>[];
+  $and?: Conditions<R> | Conditions<R>[];
+};
+
+/** Write data: JSON columns take objects, date columns ISO strings and timestamps */
+export type WriteData<R = Row> = {
+  [C in keyof R]?: ConditionValue<R[C]> | null;
+};
+
+export type OrderBy<R = Row> =
+  | ColumnOf<R>
+  | `${ColumnOf<R>} ${Direction}`
+  | { column: ColumnOf<R>; direction?: Direction }
+  | RawExpression;
+
+/** Relations to eager-load: names, dotted paths or per-relation options */
+export type WithSpec =
+  | string
+  | Record<string, true | { columns?: string[]; where?: Conditions; with?: WithSpec }>
+  | Array<string | Record<string, true | { columns?: string[]; where?: Conditions; with?: WithSpec }>>;
+
+export interface SelectOptions<R = Row> {
+  columns?: Array<ColumnOf<R> | '*' | RawExpression> | RawExpression;
+  where?: Conditions<R>;
+  whereRaw?: RawExpression | null;
+  orderBy?: OrderBy<R>[];
+  groupBy?: Array<ColumnOf<R> | RawExpression>;
+  having?: RawExpression | null;
+  limit?: number;
+  offset?: number;
+  useCache?: boolean;
+  with?: WithSpec;
+}
+
+export interface SelectWhereOptions {
+  limit?: number;
+  offset?: number;
+  useCache?: boolean;
+  with?: WithSpec;
+}
+
+export interface Pagination {
+  total: number;
+  page: number;
+  perPage: number;
+  totalPages: number;
+  hasNext: boolean;
+  hasPrev: boolean;
+}
+
+export interface Paginated<R> {
+  data: R[];
+  pagination: Pagination;
+}
+
+export interface PaginateOptions<R = Row> {
+  page?: number;
+  perPage?: number;
+  where?: Conditions<R>;
+  orderBy?: OrderBy<R>[];
+  columns?: Array<ColumnOf<R> | '*' | RawExpression>;
+  with?: WithSpec;
+}
+
+export interface CursorPaginateOptions<R = Row> {
+  cursor?: unknown;
+  limit?: number;
+  cursorColumn?: ColumnOf<R>;
+  direction?: Direction;
+  where?: Conditions<R>;
+  /** The cursor column is added when missing */
+  columns?: Array<ColumnOf<R> | '*' | RawExpression>;
+}
+
+export type AggregateFunction = 'COUNT' | 'SUM' | 'AVG' | 'MIN' | 'MAX';
+
+export interface AggregateOptions<R = Row> {
+  functions?: Array<{ func: AggregateFunction | Lowercase<AggregateFunction>; column: ColumnOf<R> | '*'; alias?: string }>;
+  groupBy?: Array<ColumnOf<R> | RawExpression>;
+  where?: Conditions<R>;
+  having?: RawExpression | null;
+}
+
+export interface PivotTableOptions<R = Row, D = number> {
+  aggregate?: AggregateFunction | Lowercase<AggregateFunction>;
+  filters?: Conditions<R>;
+  includeTotals?: boolean;
+  sortColumns?: boolean;
+  /** Value of cells with no rows (default 0) */
+  defaultValue?: D;
+}
+
+/** One pivot row: the row field values, one cell per column value and `total` */
+export type PivotRow<R, F extends keyof R, V> = Pick<R, F> & { [columnValue: string]: V | R[F] };
+
+export interface PivotTableResult<R = Row, F extends keyof R = keyof R, C extends keyof R = keyof R, V = number> {
+  rows: PivotRow<R, F, V>[];
+  /** Distinct values of the column field, sorted unless `sortColumns: false` */
+  columns: R[C][];
+  columnTotals: Record<string, V> | null;
+  grandTotal: V | null;
+  aggregate: AggregateFunction;
+}
+
+// ========================================
+// OPTIONS
+// ========================================
+
+/** console, pino, winston or anything with these methods */
+export interface Logger {
+  debug?: (...args: any[]) => void;
+  info?: (...args: any[]) => void;
+  warn?: (...args: any[]) => void;
+  error?: (...args: any[]) => void;
+  log?: (...args: any[]) => void;
+}
+
+export interface CacheSetOptions {
+  ttl?: number | null;
+  tags?: string[];
+}
+
+/** Query cache backend; every method may return a promise */
+export interface CacheAdapter {
+  get(key: string): unknown | Promise<unknown>;
+  set(key: string, value: unknown, options?: CacheSetOptions): void | Promise<void>;
+  delete(key: string): void | Promise<void>;
+  invalidateTags(tags: string[]): void | Promise<void>;
+  clear(): void | Promise<void>;
+  stats?(): { size: number | null; [key: string]: unknown };
+}
+
+export interface LruCacheOptions {
+  maxEntries?: number;
+  maxBytes?: number | null;
+  sweepInterval?: number;
+}
+
+export interface LruCache extends CacheAdapter {
+  sweep(): void;
+  close(): void;
+  stats(): { size: number; bytes: number; maxEntries: number; maxBytes: number | null };
+}
+
+export interface RetryOptions {
+  retries?: number;
+  minDelay?: number;
+  maxDelay?: number;
+  factor?: number;
+  jitter?: boolean;
+}
+
+export interface DbOptions {
+  useTimestamps?: boolean;
+  enableQueryCache?: boolean;
+  cacheExpiry?: number;
+  cache?: LruCacheOptions & { adapter?: CacheAdapter };
+  readReplicas?: {
+    pools?: Pool[];
+    strategy?: 'round-robin' | 'random';
+    stickyWindow?: number;
+    healthCheckInterval?: number;
+  };
+  retry?: RetryOptions;
+  logger?: Logger | null | false;
+  slowQueryThreshold?: number;
+  metrics?: { buckets?: number[]; prefix?: string };
+  enableHooks?: boolean;
+  defaultPagination?: { limit?: number; offset?: number };
+  softDelete?: boolean | string[];
+  softDeleteColumn?: string;
+  validateColumns?: boolean;
+  unknownFields?: 'reject' | 'drop' | 'allow';
+  castValues?: boolean;
+  migrations?: { directory?: string; tableName?: string; lockName?: string; lockTimeout?: number };
+  seeds?: { directory?: string };
+  /** Record statements instead of running them */
+  dryRun?: boolean;
+}
+
+// ========================================
+// HOOKS, EVENTS & STATS
+// ========================================
+
+export type HookType = 'before' | 'after';
+export type HookOperation = 'select' | 'insert' | 'update' | 'upsert' | 'delete' | 'restore';
+
+export interface HookContext<R = Row> {
+  table: string;
+  method: string;
+  operation?: HookOperation;
+  data?: WriteData<R> | WriteData<R>[];
+  conditions?: Conditions<R>;
+  ids?: Id[];
+  idField?: string;
+  soft?: boolean;
+  conflictKeys?: string[];
+  amounts?: Record<string, number>;
+  sql?: string;
+  params?: unknown[];
+  /** After-listeners of writes: the affected rows before and after the write */
+  before?: R[];
+  after?: R[];
+  /** After-listeners of selects */
+  rows?: R[];
+}
+
+/** Before-listeners may return a replacement context */
+export type HookListener<R = Row> = (context: HookContext<R>) => void | HookContext<R> | Promise<void | HookContext<R>>;
+
+export interface QueryEventBase {
+  id: number;
+  sql: string;
+  params: unknown[];
+  table: string | null;
+  tables: string[];
+  attempt: number;
+  cached: boolean;
+}
+
+export interface QueryEvents {
+  'query:start': QueryEventBase;
+  'query:end': QueryEventBase & { duration: number; rows: number };
+  'query:error': QueryEventBase & { duration: number; error: Error };
+  'query:dryrun': DryRunStatement & { table: string | null; tables: string[] };
+}
+
+export interface DryRunStatement {
+  sql: string;
+  params: unknown[];
+}
+
+/** `sql` and `params` of the first statement, or null and [] when there was none */
+export interface DryRunResult {
+  sql: string | null;
+  params: unknown[];
+  statements: DryRunStatement[];
+}
+
+export interface CacheStats {
+  size: number | null;
+  enabled: boolean;
+  expiry: number;
+  hits: number;
+  misses: number;
+  hitRate: number;
+  [adapterStat: string]: unknown;
+}
+
+export interface PoolInfo {
+  totalConnections: number;
+  activeConnections: number;
+  freeConnections: number;
+  queueLength: number;
+}
+
+export interface QueryMetrics {
+  table: string;
+  operation: string;
+  count: number;
+  errors: number;
+  errorsByCode: Record<string, number>;
+  duration: { sum: number; count: number; buckets: Array<{ le: number; count: number }> };
+}
+
+export interface Metrics {
+  queries: QueryMetrics[];
+  cache: { hits: number; misses: number; hitRate: number };
+  pool: PoolInfo & { connectionLimit: number | null; saturation: number | null };
+  timestamp: Date;
+}
+
+export interface HealthStatus {
+  status: 'healthy' | 'unhealthy';
+  error?: string;
+  timestamp: Date;
+}
+
+export interface ReplicaStatus {
+  index: number;
+  healthy: boolean;
+  error: string | null;
+  checkedAt: Date | null;
+}
+
+export interface ColumnInfo {
+  type: string;
+  nullable: boolean;
+  key: string;
+  default: unknown;
+  extra: string;
+}
+
+export interface DescribeRow {
+  Field: string;
+  Type: string;
+  Null: 'YES' | 'NO';
+  Key: string;
+  Default: unknown;
+  Extra: string;
+}
+
+// ========================================
+// QUERY BUILDER, MODELS & FACTORIES
+// ========================================
+
+export type ComparisonOperator = '=' | '!=' | '<>' | '<' | '<=' | '>' | '>=' | 'LIKE' | 'NOT LIKE' | 'like' | 'not like';
+
+/** `R` is the table's row; `Out` the rows get() returns, narrowed by select() */
+export interface QueryBuilder<R = Row, Out = R> {
+  select<C extends ColumnOf<R>>(...columns: Array<C | C[]>): QueryBuilder<R, Pick<R, C>>;
+  select(...columns: RawExpression[]): QueryBuilder<R, Row>;
+  where<C extends ColumnOf<R>>(column: C, value: ConditionValue<R[C]> | null): this;
+  where<C extends ColumnOf<R>>(column: C, operator: ComparisonOperator, value: ConditionValue<R[C]> | string): this;
+  where(conditions: Conditions<R>): this;
+  where(group: (query: this) => void): this;
+  orWhere<C extends ColumnOf<R>>(column: C, value: ConditionValue<R[C]> | null): this;
+  orWhere<C extends ColumnOf<R>>(column: C, operator: ComparisonOperator, value: ConditionValue<R[C]> | string): this;
+  orWhere(conditions: Conditions<R>): this;
+  orWhere(group: (query: this) => void): this;
+  whereIn<C extends ColumnOf<R>>(column: C, values: ConditionValue<R[C]>[]): this;
+  whereNotIn<C extends ColumnOf<R>>(column: C, values: ConditionValue<R[C]>[]): this;
+  whereBetween<C extends ColumnOf<R>>(column: C, min: ConditionValue<R[C]>, max: ConditionValue<R[C]>): this;
+  whereNotBetween<C extends ColumnOf<R>>(column: C, min: ConditionValue<R[C]>, max: ConditionValue<R[C]>): this;
+  whereNull(column: ColumnOf<R>): this;
+  whereNotNull(column: ColumnOf<R>): this;
+  whereLike(column: ColumnOf<R>, value: string): this;
+  withTrashed(): this;
+  onlyTrashed(): this;
+  orderBy(column: ColumnOf<R> | RawExpression, direction?: Direction): this;
+  limit(count: number): this;
+  offset(count: number): this;
+  cache(enabled?: boolean): this;
+  toSQL(): { sql: string; params: unknown[] };
+  get(): Promise<Out[]>;
+  first(): Promise<Out | null>;
+  count(): Promise<number>;
+  paginate(page?: number, perPage?: number): Promise<Paginated<Out>>;
+}
+
+export type CastType = 'boolean' | 'number' | 'string' | 'json' | 'date';
+
+export interface RelationDefinition {
+  type: 'hasOne' | 'hasMany' | 'belongsTo' | 'belongsToMany';
+  table: string;
+  foreignKey?: string;
+  pivot?: string;
+  columns?: string[];
+}
+
+export interface ModelHooks<R = Row> {
+  beforeCreate?: (data: WriteData<R>) => WriteData<R> | void | Promise<WriteData<R> | void>;
+  afterCreate?: (record: R | null) => void | Promise<void>;
+  beforeUpdate?: (data: WriteData<R>, id: Id) => WriteData<R> | void | Promise<WriteData<R> | void>;
+  afterUpdate?: (record: R | null) => void | Promise<void>;
+  beforeDelete?: (id: Id) => void | Promise<void>;
+  afterDelete?: (id: Id) => void | Promise<void>;
+}
+
+export interface ModelDefinition<R = Row> {
+  primaryKey?: ColumnOf<R>;
+  timestamps?: boolean;
+  softDelete?: boolean;
+  relations?: Record<string, RelationDefinition>;
+  hooks?: ModelHooks<R>;
+  casts?: { [C in keyof R]?: CastType };
+}
+
+export interface Model<R = Row> {
+  readonly table: string;
+  readonly primaryKey: string;
+  find(id: Id, options?: SelectWhereOptions): Promise<R | null>;
+  findOne(conditions?: Conditions<R>, options?: SelectWhereOptions): Promise<R | null>;
+  where(conditions?: Conditions<R>, options?: SelectWhereOptions): Promise<R[]>;
+  count(conditions?: Conditions<R>): Promise<number>;
+  paginate(options?: PaginateOptions<R>): Promise<Paginated<R>>;
+  create(data?: WriteData<R>): Promise<R | null>;
+  update(id: Id, data?: WriteData<R>): Promise<R | null>;
+  delete(id: Id): Promise<void>;
+  restore(id: Id): Promise<R | null>;
+  clone(id: Id, overrides?: WriteData<R>): Promise<R | null>;
+  related(recordOrId: R | Id, name: string): Promise<Row | Row[] | null>;
+  query(): QueryBuilder<R>;
+}
+
+/** Attribute values may be functions of the row's sequence number */
+export type FactoryAttributes<R = Row> = {
+  [C in keyof R]?: ConditionValue<R[C]> | null | ((sequence: number) => ConditionValue<R[C]> | null);
+};
+
+export type FactoryDefinition<R = Row> = FactoryAttributes<R> | ((sequence: number) => FactoryAttributes<R>);
+
+export interface FactoryBuilder<R = Row, Many extends boolean = false> {
+  count(count: number): FactoryBuilder<R, true>;
+  state(overrides: FactoryDefinition<R>): this;
+  has(relation: string | { table: string; foreignKey: string; as?: string }, count?: number, overrides?: FactoryDefinition): this;
+  make(overrides?: FactoryDefinition<R>): Many extends true ? WriteData<R>[] : WriteData<R>;
+  create(overrides?: FactoryDefinition<R>): Promise<Many extends true ? R[] : R>;
+}
+
+export interface Migrator {
+  latest(): Promise<{ batch: number | null; migrations: string[] }>;
+  rollback(steps?: number): Promise<{ batches: number[]; migrations: string[] }>;
+  status(): Promise<Array<{ name: string; applied: boolean; batch: number | null; migratedAt: Date | null; missing: boolean }>>;
+}
+
+export interface Seeder {
+  list(): string[];
+  run(names?: string[] | null): Promise<string[]>;
+}
+
+// ========================================
+// DB
+// ========================================
+
+export interface JoinOptions<T extends TableMap> {
+  baseTable: TableName<T>;
+  joinTable: TableName<T>;
+  baseKey: string;
+  joinKey: string;
+  conditions?: Conditions;
+  columns?: Array<string | RawExpression>;
+  joinType?: 'INNER' | 'LEFT' | 'RIGHT' | 'inner' | 'left' | 'right';
+}
+
+export interface MultiJoinOptions<T extends TableMap> {
+  baseTable: TableName<T>;
+  baseAlias?: string;
+  joins?: Array<{
+    table: TableName<T>;
+    alias?: string;
+    type?: 'INNER' | 'LEFT' | 'RIGHT' | 'FULL' | 'inner' | 'left' | 'right' | 'full';
+    baseColumn: string;
+    joinColumn: string;
+  }>;
+  conditions?: Conditions;
+  columns?: Array<string | RawExpression>;
+}
+
+export interface Db<T extends TableMap = TableMap> {
+  // Raw statements
+  query<Out = Row>(sql: string, params?: unknown[], useCache?: boolean): Promise<Out[]>;
+  getOne<Out = Row>(sql: string, params?: unknown[], useCache?: boolean): Promise<Out | null>;
+  /** Rejects DROP, TRUNCATE, ALTER and CREATE */
+  raw<Out = Row>(sql: string, params?: unknown[]): Promise<Out[]>;
+  rawUnsafe<Out = Row>(sql: string, params?: unknown[]): Promise<Out[]>;
+  rawExpr(sql: string, params?: unknown[]): RawExpression;
+
+  // Writes
+  /** Resolves to the row's `idField` value (the model's primary key or 'id'), or the insert id when it has none */
+  insert<K extends TableName<T>, Id = number>(table: K, data: WriteData<T[K]>, idField?: ColumnOf<T[K]>): Promise<Id>;
+  insertAndReturn<K extends TableName<T>>(table: K, data: WriteData<T[K]>, idField?: ColumnOf<T[K]>): Promise<T[K] | null>;
+  bulkInsert<K extends TableName<T>>(table: K, rows: WriteData<T[K]>[]): Promise<number | undefined>;
+  bulkInsertAndReturn<K extends TableName<T>>(table: K, rows: WriteData<T[K]>[], idField?: ColumnOf<T[K]>): Promise<T[K][]>;
+  upsert<K extends TableName<T>>(table: K, data: WriteData<T[K]>, conflictKeys?: ColumnOf<T[K]>[]): Promise<number>;
+  bulkUpsert<K extends TableName<T>>(table: K, rows: WriteData<T[K]>[], conflictKeys?: ColumnOf<T[K]>[]): Promise<number>;
+  updateById<K extends TableName<T>>(table: K, id: Id, data: WriteData<T[K]>, idField?: ColumnOf<T[K]>): Promise<void>;
+  updateByIdAndReturn<K extends TableName<T>>(table: K, id: Id, data: WriteData<T[K]>, idField?: ColumnOf<T[K]>): Promise<T[K] | null>;
+  updateWhere<K extends TableName<T>>(table: K, conditions: Conditions<T[K]>, data: WriteData<T[K]>): Promise<number>;
+  deleteById<K extends TableName<T>>(table: K, id: Id, soft?: boolean, idField?: ColumnOf<T[K]>): Promise<void>;
+  deleteWhere<K extends TableName<T>>(table: K, conditions: Conditions<T[K]>, soft?: boolean): Promise<number>;
+  restore<K extends TableName<T>>(table: K, id: Id, idField?: ColumnOf<T[K]>): Promise<void>;
+  restoreWhere<K extends TableName<T>>(table: K, conditions: Conditions<T[K]>): Promise<number>;
+  batchUpdate<K extends TableName<T>>(table: K, updates: Array<{ id: Id } & WriteData<T[K]>>, idField?: ColumnOf<T[K]>): Promise<number>;
+  batchDelete<K extends TableName<T>>(table: K, ids: Id[], soft?: boolean, idField?: ColumnOf<T[K]>): Promise<number>;
+  truncate(table: TableName<T>): Promise<true>;
+  increment<K extends TableName<T>>(table: K, id: Id, field: ColumnOf<T[K]>, amount?: number, idField?: ColumnOf<T[K]>): Promise<number>;
+  decrement<K extends TableName<T>>(table: K, id: Id, field: ColumnOf<T[K]>, amount?: number, idField?: ColumnOf<T[K]>): Promise<number>;
+  incrementMany<K extends TableName<T>>(table: K, id: Id, fields: { [C in keyof T[K]]?: number }, idField?: ColumnOf<T[K]>): Promise<ResultSetHeader>;
+  decrementMany<K extends TableName<T>>(table: K, id: Id, fields: { [C in keyof T[K]]?: number }, idField?: ColumnOf<T[K]>): Promise<ResultSetHeader>;
+
+  // Reads
+  table<K extends TableName<T>>(table: K): QueryBuilder<T[K]>;
+  select<K extends TableName<T>>(table: K, options?: SelectOptions<T[K]>): Promise<T[K][]>;
+  selectWhere<K extends TableName<T>>(table: K, conditions?: Conditions<T[K]>, options?: SelectWhereOptions): Promise<T[K][]>;
+  findOne<K extends TableName<T>>(table: K, conditions?: Conditions<T[K]>, options?: SelectWhereOptions): Promise<T[K] | null>;
+  findOrCreate<K extends TableName<T>>(table: K, conditions: WriteData<T[K]>, defaults?: WriteData<T[K]>): Promise<{ record: T[K]; created: boolean }>;
+  findOneAndUpdate<K extends TableName<T>>(table: K, conditions: Conditions<T[K]>, data: WriteData<T[K]>): Promise<T[K] | null>;
+  findOneAndDelete<K extends TableName<T>>(table: K, conditions: Conditions<T[K]>, soft?: boolean): Promise<T[K] | null>;
+  paginate<K extends TableName<T>>(table: K, options?: PaginateOptions<T[K]>): Promise<Paginated<T[K]>>;
+  cursorPaginate<K extends TableName<T>>(table: K, options?: CursorPaginateOptions<T[K]>): Promise<{ data: T[K][]; nextCursor: any; hasMore: boolean }>;
+  count<K extends TableName<T>>(table: K, conditions?: Conditions<T[K]>): Promise<number>;
+  countBy<K extends TableName<T>, C extends ColumnOf<T[K]>>(table: K, column: C, where?: Conditions<T[K]>): Promise<Array<Pick<T[K], C> & { count: number }>>;
+  exists<K extends TableName<T>>(table: K, conditions?: Conditions<T[K]>): Promise<boolean>;
+  getByIds<K extends TableName<T>>(table: K, ids: Id[], idField?: ColumnOf<T[K]>): Promise<T[K][]>;
+  first<K extends TableName<T>>(table: K, orderBy?: ColumnOf<T[K]>, direction?: Direction): Promise<T[K] | null>;
+  last<K extends TableName<T>>(table: K, orderBy?: ColumnOf<T[K]>, direction?: Direction): Promise<T[K] | null>;
+  random<K extends TableName<T>>(table: K, count?: 1): Promise<T[K] | null>;
+  random<K extends TableName<T>>(table: K, count: number): Promise<T[K][]>;
+  chunk<K extends TableName<T>>(table: K, chunkSize: number, callback: (rows: T[K][], index: number) => void | Promise<void>, where?: Conditions<T[K]>): Promise<void>;
+  isDuplicate<K extends TableName<T>>(table: K, fields: Conditions<T[K]>, excludeId?: Id | null, idField?: ColumnOf<T[K]>): Promise<boolean>;
+  clone<K extends TableName<T>>(table: K, id: Id, overrides?: WriteData<T[K]>, idField?: ColumnOf<T[K]>): Promise<T[K] | null>;
+
+  // Soft-delete scope and routing
+  withTrashed(): Db<T>;
+  withTrashed<K extends TableName<T>>(table: K, conditions?: Conditions<T[K]>, options?: SelectWhereOptions): Promise<T[K][]>;
+  onlyTrashed(): Db<T>;
+  onlyTrashed<K extends TableName<T>>(table: K, conditions?: Conditions<T[K]>, options?: SelectWhereOptions): Promise<T[K][]>;
+  withoutTrashed(): Db<T>;
+  /** A db whose reads always go to the writer */
+  primary(): Db<T>;
+  /** A db that records its statements instead of running them */
+  dryRun(): Db<T>;
+  /** The statements `callback` issues on a dry-run db */
+  toSQL(callback: (dry: Db<T>) => unknown): Promise<DryRunResult>;
+
+  // Models, migrations, seeds & factories
+  defineModel<K extends TableName<T>>(table: K, definition?: ModelDefinition<T[K]>): Model<T[K]>;
+  model<K extends TableName<T>>(table: K): Model<T[K]>;
+  migrate: Migrator;
+  seed: Seeder;
+  defineFactory<K extends TableName<T>>(table: K, definition: FactoryDefinition<T[K]>): void;
+  factory<K extends TableName<T>>(table: K): FactoryBuilder<T[K]>;
+
+  // Aggregates
+  aggregate<K extends TableName<T>>(table: K, options?: AggregateOptions<T[K]>): Promise<Row[]>;
+  min<K extends TableName<T>, C extends ColumnOf<T[K]>>(table: K, column: C, where?: Conditions<T[K]>): Promise<T[K][C] | null>;
+  max<K extends TableName<T>, C extends ColumnOf<T[K]>>(table: K, column: C, where?: Conditions<T[K]>): Promise<T[K][C] | null>;
+  avg<K extends TableName<T>>(table: K, column: ColumnOf<T[K]>, where?: Conditions<T[K]>): Promise<number>;
+  sum<K extends TableName<T>>(table: K, column: ColumnOf<T[K]>, where?: Conditions<T[K]>): Promise<number>;
+  median<K extends TableName<T>>(table: K, column: ColumnOf<T[K]>, where?: Conditions<T[K]>): Promise<number>;
+  percentile<K extends TableName<T>, C extends ColumnOf<T[K]>>(table: K, column: C, percentile?: number, where?: Conditions<T[K]>): Promise<T[K][C] | null>;
+  distinctValues<K extends TableName<T>, C extends ColumnOf<T[K]>>(table: K, column: C): Promise<Array<Pick<T[K], C>>>;
+  pluck<K extends TableName<T>, C extends ColumnOf<T[K]>>(table: K, column: C, where?: Conditions<T[K]>): Promise<Array<T[K][C]>>;
+  groupConcat<K extends TableName<T>, G extends ColumnOf<T[K]>>(table: K, column: ColumnOf<T[K]>, groupBy: G, where?: Conditions<T[K]>, separator?: string): Promise<Array<Pick<T[K], G> & { concatenated: string | null }>>;
+  pivotTable<K extends TableName<T>, F extends ColumnOf<T[K]>, C extends ColumnOf<T[K]>, D = number>(
+    table: K,
+    rowFields: F[],
+    columnField: C,
+    valueField: ColumnOf<T[K]>,
+    options?: PivotTableOptions<T[K], D>
+  ): Promise<PivotTableResult<T[K], F, C, number | D>>;
+
+  // Search
+  advancedSearch<K extends TableName<T>>(
+    table: K,
+    criteria?: Conditions<T[K]> | { [C in keyof T[K]]?: { operator?: string; value?: unknown } },
+    options?: { limit?: number; offset?: number; orderBy?: OrderBy<T[K]>[] }
+  ): Promise<T[K][]>;
+  search<K extends TableName<T>>(table: K, fields: ColumnOf<T[K]>[], keyword: string): Promise<T[K][]>;
+  fullTextSearch<K extends TableName<T>>(
+    table: K,
+    columns: ColumnOf<T[K]>[],
+    searchTerm: string,
+    options?: { mode?: 'NATURAL LANGUAGE' | 'BOOLEAN'; limit?: number; minScore?: number }
+  ): Promise<Array<T[K] & { relevance: number }>>;
+
+  // JSON & dates
+  jsonExtract<K extends TableName<T>>(table: K, jsonColumn: ColumnOf<T[K]>, path: string, where?: Conditions<T[K]>): Promise<Array<{ id: Id; extracted_value: unknown }>>;
+  jsonContains<K extends TableName<T>>(table: K, jsonColumn: ColumnOf<T[K]>, value: unknown, where?: Conditions<T[K]>): Promise<T[K][]>;
+  whereDateBetween<K extends TableName<T>>(table: K, dateColumn: ColumnOf<T[K]>, startDate: Date | string, endDate: Date | string, options?: Record<string, never>): Promise<T[K][]>;
+  whereDate<K extends TableName<T>>(table: K, dateColumn: ColumnOf<T[K]>, date: Date | string, operator?: '=' | '!=' | '<>' | '<' | '<=' | '>' | '>='): Promise<T[K][]>;
+  whereYear<K extends TableName<T>>(table: K, dateColumn: ColumnOf<T[K]>, year: number): Promise<T[K][]>;
+  whereMonth<K extends TableName<T>>(table: K, dateColumn: ColumnOf<T[K]>, month: number): Promise<T[K][]>;
+  whereDay<K extends TableName<T>>(table: K, dateColumn: ColumnOf<T[K]>, day: number): Promise<T[K][]>;
+  createdToday<K extends TableName<T>>(table: K, dateColumn?: ColumnOf<T[K]>): Promise<T[K][]>;
+  createdThisWeek<K extends TableName<T>>(table: K, dateColumn?: ColumnOf<T[K]>): Promise<T[K][]>;
+  createdThisMonth<K extends TableName<T>>(table: K, dateColumn?: ColumnOf<T[K]>): Promise<T[K][]>;
+  createdThisYear<K extends TableName<T>>(table: K, dateColumn?: ColumnOf<T[K]>): Promise<T[K][]>;
+
+  // Column helpers
+  whereIn<K extends TableName<T>, C extends ColumnOf<T[K]>>(table: K, column: C, values: ConditionValue<T[K][C]>[]): Promise<T[K][]>;
+  whereNotIn<K extends TableName<T>, C extends ColumnOf<T[K]>>(table: K, column: C, values: ConditionValue<T[K][C]>[]): Promise<T[K][]>;
+  whereBetween<K extends TableName<T>, C extends ColumnOf<T[K]>>(table: K, column: C, min: ConditionValue<T[K][C]>, max: ConditionValue<T[K][C]>): Promise<T[K][]>;
+  whereNotBetween<K extends TableName<T>, C extends ColumnOf<T[K]>>(table: K, column: C, min: ConditionValue<T[K][C]>, max: ConditionValue<T[K][C]>): Promise<T[K][]>;
+  whereNull<K extends TableName<T>>(table: K, column: ColumnOf<T[K]>): Promise<T[K][]>;
+  whereNotNull<K extends TableName<T>>(table: K, column: ColumnOf<T[K]>): Promise<T[K][]>;
+  whereGreaterThan<K extends TableName<T>, C extends ColumnOf<T[K]>>(table: K, column: C, value: ConditionValue<T[K][C]>): Promise<T[K][]>;
+  whereLessThan<K extends TableName<T>, C extends ColumnOf<T[K]>>(table: K, column: C, value: ConditionValue<T[K][C]>): Promise<T[K][]>;
+  whereStartsWith<K extends TableName<T>>(table: K, column: ColumnOf<T[K]>, value: string): Promise<T[K][]>;
+  whereEndsWith<K extends TableName<T>>(table: K, column: ColumnOf<T[K]>, value: string): Promise<T[K][]>;
+  whereContains<K extends TableName<T>>(table: K, column: ColumnOf<T[K]>, value: string): Promise<T[K][]>;
+  whereLike<K extends TableName<T>>(table: K, column: ColumnOf<T[K]>, value: string, caseSensitive?: boolean): Promise<T[K][]>;
+
+  // Joins & relations
+  join(options: JoinOptions<T>): Promise<Row[]>;
+  multiJoin(options: MultiJoinOptions<T>): Promise<Row[]>;
+  hasOne<K extends TableName<T>>(parentTable: TableName<T>, childTable: K, parentId: Id, foreignKey?: ColumnOf<T[K]>, columns?: Array<ColumnOf<T[K]> | '*'>): Promise<T[K] | null>;
+  hasMany<K extends TableName<T>>(parentTable: TableName<T>, childTable: K, parentId: Id, foreignKey?: ColumnOf<T[K]>, columns?: Array<ColumnOf<T[K]> | '*'>): Promise<T[K][]>;
+  belongsTo<K extends TableName<T>>(childTable: TableName<T>, parentTable: K, foreignKeyValue: Id, foreignKey?: string, columns?: Array<ColumnOf<T[K]> | '*'>): Promise<T[K] | null>;
+  belongsToMany<K extends TableName<T>>(table1: TableName<T>, table2: K, pivotTable: TableName<T>, id: Id, columns?: Array<ColumnOf<T[K]> | '*'>): Promise<T[K][]>;
+
+  // Transactions
+  /** Runs `callback` in a transaction; nested calls join the open one */
+  transaction<Out>(callback: (tx: Transaction<T>) => Out | Promise<Out>): Promise<Out>;
+
+  // Hooks
+  addHook(type: HookType, operation: HookOperation, callback: HookListener): () => void;
+  addHook<K extends TableName<T>>(type: HookType, operation: HookOperation, table: K, callback: HookListener<T[K]>): () => void;
+  removeHook(type: HookType, operation: HookOperation, table?: TableName<T> | null, callback?: HookListener<any> | null): void;
+
+  // Cache
+  clearCache(table?: TableName<T> | null): Promise<void>;
+  getCacheStats(): CacheStats;
+  warmCache<K extends TableName<T>>(table: K, queries?: Array<{ where?: Conditions<T[K]>; options?: SelectWhereOptions }>): Promise<{ warmedQueries: number; cacheSize: number | null; timestamp: Date }>;
+
+  // Events & metrics
+  events: EventEmitter;
+  on<E extends keyof QueryEvents>(event: E, listener: (payload: QueryEvents[E]) => void): this;
+  off<E extends keyof QueryEvents>(event: E, listener: (payload: QueryEvents[E]) => void): this;
+  getMetrics(): Metrics;
+  getPrometheusMetrics(): string;
+  resetMetrics(): void;
+
+  // Schema & utilities
+  getTableSchema(table: TableName<T>): Promise<DescribeRow[]>;
+  getColumns(table: TableName<T>): Promise<Map<string, ColumnInfo>>;
+  refreshSchema(): Promise<null>;
+  refreshSchema(table: TableName<T>): Promise<Map<string, ColumnInfo>>;
+  getTableIndexes(table: TableName<T>): Promise<Row[]>;
+  getTableInfo(table: TableName<T>): Promise<{ table_name: string; table_rows: number; data_length: number; index_length: number; size_mb: number } | null>;
+  listTables(): Promise<string[]>;
+  tableExists(table: string): Promise<boolean>;
+  optimizeTable(table: TableName<T>): Promise<Row[]>;
+  analyzeTable(table: TableName<T>): Promise<Row[]>;
+  healthCheck(): Promise<HealthStatus>;
+  getReplicaStatus(): ReplicaStatus[];
+  checkReplicas(): Promise<ReplicaStatus[]>;
+  getDatabaseStats(): Promise<{ table_count: number; total_rows: number; total_size_mb: number } | null>;
+  getPoolInfo(): PoolInfo;
+  logAudit(action: string, table: string, data: unknown, userId?: Id | null): Promise<void>;
+
+  // Creative functions
+  diff<K extends TableName<T>>(table: K, id1: Id, id2: Id, idField?: ColumnOf<T[K]>): Promise<{ [C in keyof T[K]]?: { from: T[K][C]; to: T[K][C] } }>;
+  bulkConditionalUpdate<K extends TableName<T>>(table: K, updates: Array<{ where: Conditions<T[K]>; data: WriteData<T[K]> }>): Promise<number>;
+  timeTravel<K extends TableName<T>>(table: K, timestamp: Date | string, where?: Conditions<T[K]>): Promise<T[K][]>;
+  smartMerge(tables: TableName<T>[], commonKey: string, keyValue: unknown): Promise<Row | null>;
+  fuzzySearch<K extends TableName<T>>(table: K, field: ColumnOf<T[K]>, searchTerm: string, maxScore?: number): Promise<Array<T[K] & { match_score: number }>>;
+  weightedRandom<K extends TableName<T>>(table: K, weightColumn: ColumnOf<T[K]>, count?: 1, where?: Conditions<T[K]>): Promise<(T[K] & { weighted_score: number }) | null>;
+  weightedRandom<K extends TableName<T>>(table: K, weightColumn: ColumnOf<T[K]>, count: number, where?: Conditions<T[K]>): Promise<Array<T[K] & { weighted_score: number }>>;
+  batchTransform<K extends TableName<T>>(
+    table: K,
+    transform: (record: T[K]) => WriteData<T[K]> | null | undefined | void | Promise<WriteData<T[K]> | null | undefined | void>,
+    where?: Conditions<T[K]>,
+    batchSize?: number
+  ): Promise<number>;
+  snapshot<K extends TableName<T>>(table: K, snapshotName?: string | null): Promise<{ snapshotName: string; timestamp: Date; originalTable: K }>;
+  createVersion<K extends TableName<T>>(table: K, id: Id, userId?: Id | null, idField?: ColumnOf<T[K]>): Promise<number>;
+  conditionalAggregate<K extends TableName<T>>(
+    table: K,
+    aggregations: Array<{ func: AggregateFunction | Lowercase<AggregateFunction>; column: ColumnOf<T[K]>; condition?: Conditions<T[K]> | RawExpression; alias?: string }>,
+    where?: Conditions<T[K]>
+  ): Promise<Row | null>;
+  rank<K extends TableName<T>>(
+    table: K,
+    rankColumn: ColumnOf<T[K]>,
+    options?: { partitionBy?: ColumnOf<T[K]> | null; orderDirection?: Direction; where?: Conditions<T[K]>; limit?: number }
+  ): Promise<Array<T[K] & { rank_position: number; dense_rank: number }>>;
+  movingAverage<K extends TableName<T>, V extends ColumnOf<T[K]>, D extends ColumnOf<T[K]>>(
+    table: K,
+    valueColumn: V,
+    dateColumn: D,
+    windowSize?: number,
+    where?: Conditions<T[K]>
+  ): Promise<Array<Pick<T[K], V | D> & { moving_avg: number | null }>>;
+  findDuplicates<K extends TableName<T>, C extends ColumnOf<T[K]>>(table: K, compareFields: C[]): Promise<Array<Pick<T[K], C> & { duplicate_count: number; duplicate_ids: string }>>;
+  cascadeUpdate<K extends TableName<T>>(
+    table: K,
+    id: Id,
+    data: WriteData<T[K]>,
+    relations?: Array<{ table: TableName<T>; foreignKey: string; data?: Row }>,
+    idField?: ColumnOf<T[K]>
+  ): Promise<{ success: true; updated: number }>;
+  queryStats(table: TableName<T>, options?: { days?: number }): Promise<Row | null>;
+}
+
+/** The db a transaction callback receives */
+export interface Transaction<T extends TableMap = TableMap> extends Db<T> {
+  /** The transaction's raw mysql2 connection */
+  connection: PoolConnection;
+}
+
+/**
+ * Creates the db object. Pass a table -> row map to type rows and reject
+ * unknown tables and columns at compile time:
+ *
+ *   const db = createDb<{ users: User; posts: Post }>(pool, ['users', 'posts']);
+ */
+export function createDb<T extends TableMap = TableMap>(pool: Pool, allowedTables?: TableName<T>[], options?: DbOptions): Db<T>;
+
+export function rawExpr(sql: string, params?: unknown[]): RawExpression;
+
+export function createLruCache(options?: LruCacheOptions): LruCache;
+
+/** `client` is an ioredis client (`call()`) or a node-redis v4 client (`sendCommand()`) */
+export function createRedisCache(
+  client: { call(...args: unknown[]): Promise<any> } | { sendCommand(args: string[]): Promise<any> },
+  options?: { prefix?: string }
+): CacheAdapter;
+
+// ========================================
+// ROUTES
+// ========================================
+
+/** Any Express-style app or router */
+export interface CrudApp {
+  get(path: string, ...handlers: CrudHandler[]): unknown;
+  post(path: string, ...handlers: CrudHandler[]): unknown;
+  put(path: string, ...handlers: CrudHandler[]): unknown;
+  patch(path: string, ...handlers: CrudHandler[]): unknown;
+  delete(path: string, ...handlers: CrudHandler[]): unknown;
+}
+
+/** Validation rules for one body field */
+export interface FieldSchema {
+  type?: JsonType | JsonType[];
+  enum?: unknown[];
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+  format?: 'email' | 'date' | 'date-time' | 'uuid' | 'uri';
+  minimum?: number;
+  maximum?: number;
+  /** What PUT sets the field to when the body leaves it out (null if unset and allowed) */
+  default?: unknown;
+}
+
+export type JsonType = 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null';
+
+export interface BodySchema {
+  type?: 'object';
+  properties: Record<string, FieldSchema>;
+  required?: string[];
+}
+
+export interface CrudRouteOptions {
+  /** true mounts the Prometheus metrics at /metrics; a string mounts them at that path */
+  metrics?: boolean | string;
+  /** Default page size of GET /table (20) */
+  perPage?: number;
+  /** Largest perPage GET /table accepts (100) */
+  maxPerPage?: number;
+  /** Schema for POST and PUT bodies; derived from the table's columns by default, false skips validation */
+  schema?: BodySchema | false;
+  /** Columns left out of the derived schema */
+  readOnly?: string[];
+  /** Column the :id routes match ('id') */
+  primaryKey?: string;
+  /** DELETE removes rows instead of soft-deleting them, and /:id/restore isn't mounted */
+  hardDelete?: boolean;
+  /** Most rows POST /table/bulk accepts (1000) */
+  maxBulk?: number;
+  /** `{ name: false }` leaves that route out */
+  operations?: Partial<Record<CrudOperation, boolean>>;
+  /** Handlers in the framework's own style that run before every route (`all`) or one operation's */
+  middleware?: Partial<Record<CrudOperation | 'all', CrudMiddleware | CrudMiddleware[]>>;
+  /** Columns responses show and filters, sort and fields may use */
+  readable?: string[];
+  /** Columns request bodies may set */
+  writable?: string[];
+  /** Conditions every route is limited to, from the framework's request (Koa's `ctx`); null for no limit */
+  scope?: (req: any) => Conditions | null | undefined | Promise<Conditions | null | undefined>;
+  /** true serves the OpenAPI document at /openapi.json, a string at that path */
+  openapi?: boolean | string | { path?: string | false; file?: string; info?: OpenApiInfo };
+}
+
+export interface OpenApiInfo {
+  title?: string;
+  version?: string;
+  description?: string;
+  [key: string]: unknown;
+}
+
+/** OpenAPI 3.1 document for every table whose routes were mounted on `app` (an http adapter's listener) */
+export function openApiDocument(app: object, info?: OpenApiInfo): Promise<Record<string, any>>;
+
+export type CrudOperation = 'list' | 'count' | 'get' | 'create' | 'bulkCreate' | 'replace' | 'update' | 'delete' | 'restore';
+
+export type CrudHandler = (req: any, res: any, next: (err?: unknown) => void) => unknown;
+
+/** Express / Connect `(req, res, next)`, Fastify preHandler or Koa `(ctx, next)` middleware */
+export type CrudMiddleware = (...args: any[]) => unknown;
+
+export function generateCrudRoutes<T extends TableMap>(app: CrudApp, table: TableName<T>, db: Db<T>, options?: CrudRouteOptions): void;
+
+/** What an adapter hands a route */
+export interface CrudRequest {
+  params: Record<string, string>;
+  query: Record<string, any>;
+  body: unknown;
+  url: string;
+  /** The framework's own request: Express / http `req`, Fastify `request` or Koa `ctx` */
+  raw: any;
+}
+
+/** A string body is sent as is, anything else as JSON */
+export interface CrudResponse {
+  status: number;
+  headers?: Record<string, string>;
+  body: unknown;
+}
+
+export interface CrudRoute {
+  operation: CrudOperation | 'metrics' | 'openapi';
+  method: 'get' | 'post' | 'put' | 'patch' | 'delete';
+  /** With `:id` placeholders */
+  path: string;
+  middleware: CrudMiddleware[];
+  /** Never rejects; errors become responses */
+  handle(request: CrudRequest): Promise<CrudResponse>;
+}
+
+export interface CrudRoutes {
+  table: string;
+  /** The routes to mount on `app`, with the metrics and OpenAPI routes the first time `app` gets them */
+  routesFor(app: object): CrudRoute[];
+}
+
+/** Framework-independent routes for one table; mount them with `adapters` */
+export function createCrudRoutes<T extends TableMap>(table: TableName<T>, db: Db<T>, options?: CrudRouteOptions): CrudRoutes;
+
+export type HttpListener = (req: IncomingMessage, res: ServerResponse, next?: (err?: unknown) => void) => Promise<void>;
+
+export const adapters: {
+  express(app: CrudApp, routes: CrudRoutes): void;
+  fastify(app: { route(options: Record<string, any>): unknown }, routes: CrudRoutes): void;
+  /** A Koa router such as @koa/router */
+  koa(router: Record<CrudRoute['method'], (path: string, ...middleware: CrudMiddleware[]) => unknown>, routes: CrudRoutes): void;
+  /** A request listener serving every table's routes; unmatched requests go to `next` or get a 404 */
+  http(routes: CrudRoutes | CrudRoutes[], options?: { bodyLimit?: number }): HttpListener;
+};
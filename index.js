@@ -1,2004 +1,2609 @@
+const EventEmitter = require('events');
 const sqlString = require('sqlstring');
 const generateCrudRoutes = require('./generateCrudRoutes');
+const { createCrudRoutes } = require('./crudRoutes');
+const adapters = require('./adapters');
+const { openApiDocument } = require('./openapi');
+const createQueryBuilder = require('./queryBuilder');
+const createModel = require('./model');
+const { parseWith, loadRelations } = require('./eagerLoad');
+const createMigrator = require('./migrations');
+const createFactory = require('./factories');
+const createSeeder = require('./seeders');
+const createHooks = require('./hooks');
+const { createLruCache, createRedisCache } = require('./cache');
+const { createReplicaSet, isReadStatement } = require('./replicas');
+const { isRetryable, withRetry } = require('./retry');
+const createLogger = require('./logger');
+const errors = require('./errors');
+const { createMetrics, toPrometheus } = require('./metrics');
+const { compileConditions } = require('./conditions');
+const {
+  rawExpr,
+  isRawExpr,
+  quoteIdentifier,
+  normalizeDirection,
+  toLimit,
+  createColumnResolver
+} = require('./identifiers');
+const { describeColumns, castValue } = require('./schema');
+
+const {
+  ValidationError,
+  TableNotAllowedError,
+  NotFoundError,
+  UniqueViolationError,
+  fromMysqlError
+} = errors;
+
+const AGGREGATE_FUNCTIONS = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'];
+const FULLTEXT_MODES = ['NATURAL LANGUAGE', 'BOOLEAN'];
+const DATE_OPERATORS = ['=', '!=', '<>', '<', '<=', '>', '>='];
 
 const createDb = (pool, allowedTables = [], options = {}) => {
   const { 
     useTimestamps = true,              // automatically add created_at / updated_at
     enableQueryCache = false,          // toggle in-memory caching of queries
     cacheExpiry = 60000,               // cache duration (ms)
+    cache = {},                        // { adapter } or LRU limits { maxEntries, maxBytes, sweepInterval }
+    readReplicas = {},                 // { pools, strategy, stickyWindow, healthCheckInterval } for reads
+    retry = {},                        // { retries, minDelay, maxDelay, factor, jitter } for transient errors
+    logger = console,                  // console, pino or winston; null silences logging
+    slowQueryThreshold = 500,          // ms before a query is logged as slow; 0 disables
+    metrics = {},                      // { buckets, prefix } for db.getMetrics and the Prometheus export
     enableHooks = true,                // enable before/after hooks
-    defaultPagination = { limit: 50, offset: 0 } // default pagination settings
+    defaultPagination = { limit: 50, offset: 0 }, // default pagination settings
+    softDelete = false,                // true, or an array of tables, to hide soft-deleted rows from reads
+    softDeleteColumn = 'deleted_at',   // column that marks a row as soft-deleted
+    validateColumns = true,            // check column references against each table's schema
+    unknownFields = 'reject',          // 'reject', 'drop' or 'allow' write keys that aren't table columns
+    castValues = true,                 // coerce booleans, dates and JSON to each column's type on write
+    migrations = {},                   // { directory, tableName, lockName, lockTimeout } for db.migrate
+    seeds = {},                        // { directory } for db.seed
+    dryRun = false                     // record statements instead of running them (see db.toSQL)
   } = {
     ...options // allow user overrides
   };
 
 
-  const queryCache = new Map();
-  const hooks = { before: {}, after: {} };
+  const queryCache = cache.adapter || createLruCache(cache);
+  const cacheCounters = { hits: 0, misses: 0 };
+  const log = createLogger(logger);
+  const events = new EventEmitter();
+  let queryCounter = 0;
+  const queryMetrics = createMetrics(metrics);
+  const schemaCache = new Map();
+  const indexColumns = new Map();
+  const models = new Map();
+  const factories = new Map();
+  const hooks = createHooks(enableHooks);
 
   const validateTable = (table) => {
     if (!allowedTables.includes(table)) {
-      throw new Error(`Table '${table}' is not allowed.`);
+      throw new TableNotAllowedError(table);
     }
   };
 
+  // A model's own softDelete / timestamps setting wins over the global option
+  const isSoftDeleteTable = (table, definition = models.get(table)) => {
+    if (typeof definition?.softDelete === 'boolean') return definition.softDelete;
+    return softDelete === true || (Array.isArray(softDelete) && softDelete.includes(table));
+  };
+
+  const usesTimestamps = (table) => {
+    const definition = models.get(table);
+    return typeof definition?.timestamps === 'boolean' ? definition.timestamps : useTimestamps;
+  };
+
   const getCacheKey = (sql, params) => `${sql}:${JSON.stringify(params)}`;
 
-  const clearCacheForTable = (table) => {
-    for (const [key] of queryCache) {
-      if (key.includes(table)) {
-        queryCache.delete(key);
-      }
+  // Allowed tables a statement names, matched as whole identifiers so
+  // `user` doesn't match `user_roles`; cached results are tagged with them
+  const tablesIn = (sql) => {
+    const tables = new Set();
+    for (const [, quoted, bare] of sql.matchAll(/`((?:[^`]|``)+)`|([A-Za-z_$][\w$]*)/g)) {
+      const name = quoted ? quoted.replace(/``/g, '`') : bare;
+      if (allowedTables.includes(name)) tables.add(name);
     }
+    return [...tables];
   };
 
-  const runHook = async (type, operation, data) => {
-    if (!enableHooks) return data;
-    const hook = hooks[type]?.[operation];
-    if (hook) return await hook(data);
-    return data;
+  // A failing cache backend costs a stale or missed entry, never the query
+  const clearCacheForTables = async (tables) => {
+    try {
+      await queryCache.invalidateTags(tables);
+    } catch (err) {
+      log.warn('Cache invalidation failed', { tables, error: err });
+    }
   };
 
-  const db = {
-    query: async (sql, params = [], useCache = false) => {
-      const cacheKey = getCacheKey(sql, params);
-      
-      if (useCache && enableQueryCache && queryCache.has(cacheKey)) {
-        const cached = queryCache.get(cacheKey);
-        if (Date.now() - cached.timestamp < cacheExpiry) {
-          return cached.data;
-        }
-        queryCache.delete(cacheKey);
-      }
+  // Listener errors are logged, never thrown into the query
+  const emit = (event, payload) => {
+    try {
+      events.emit(event, payload);
+    } catch (err) {
+      log.error(`${event} listener failed`, { error: err });
+    }
+  };
 
+  // Columns of a unique index, for UniqueViolationError; null when they
+  // can't be looked up
+  const uniqueKeyColumns = async (table, key) => {
+    const cacheKey = `${table}.${key}`;
+    if (!indexColumns.has(cacheKey)) {
       try {
-        const start = Date.now();
-        const [rows] = await pool.execute(sql, params);
-        const duration = Date.now() - start;
-        
-        if (duration > 500) {
-          console.warn(`⚠️ Slow query (${duration}ms):`, sql);
-        }
-
-        if (useCache && enableQueryCache) {
-          queryCache.set(cacheKey, { data: rows, timestamp: Date.now() });
-        }
-
-        return rows;
+        const [rows] = await pool.execute(
+          'SELECT COLUMN_NAME AS name FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ? ORDER BY SEQ_IN_INDEX',
+          [table, key]
+        );
+        indexColumns.set(cacheKey, rows.map(row => row.name));
       } catch (err) {
-        console.error('Query Error:', err);
-        throw err;
+        log.warn('Index lookup failed', { table, key, error: err });
+        return null;
       }
-    },
+    }
+    return indexColumns.get(cacheKey);
+  };
 
-    getOne: async (sql, params = [], useCache = false) => {
-      const rows = await db.query(sql, params, useCache);
-      return rows[0] || null;
-    },
+  // MySQL errors become typed errors (see errors.js)
+  const toDbError = async (err, context = {}) => {
+    const error = fromMysqlError(err, context);
+    if (error instanceof UniqueViolationError && error.table && error.key) {
+      error.columns = await uniqueKeyColumns(error.table, error.key);
+    }
+    return error;
+  };
 
-    insert: async (table, data) => {
-      validateTable(table);
-      let processedData = await runHook('before', 'insert', { table, data });
-      
-      const now = new Date();
-      const finalData = {
-        ...processedData.data,
-        ...(useTimestamps ? { created_at: now, updated_at: now } : {})
-      };
-    
-      const keys = Object.keys(finalData);
-      const values = Object.values(finalData);
-      const placeholders = keys.map(() => '?').join(', ');
-      const sql = `INSERT INTO \`${table}\` (${keys.map(k => `\`${k}\``).join(', ')}) VALUES (${placeholders})`;
-      const [result] = await pool.execute(sql, values);
-      
-      clearCacheForTable(table);
-      await runHook('after', 'insert', { table, id: result.insertId, data: finalData });
-      
-      return result.insertId;
-    },
+  // Rows returned by a read, or rows affected by a write
+  const rowCount = (result) => (Array.isArray(result) ? result.length : (result?.affectedRows ?? 0));
+
+  // Builds a db object whose statements all run on `executor` (the pool, or
+  // the connection of an open transaction when `transactionState` is set;
+  // `transactionState.held` marks a connection held outside a transaction,
+  // whose transaction() opens one on it).
+  // `scope.trashed` decides how soft-deleted rows are read: 'exclude'
+  // (default), 'include' or 'only'; `scope.primary` keeps reads off the
+  // replicas. `scope.dryRun` records statements instead of running them:
+  // true, or an array that collects { sql, params } for db.toSQL().
+  const bindDb = (executor, transactionState = null, scope = { trashed: 'exclude', dryRun }) => {
+    // Reads inside a transaction may see uncommitted rows, so they bypass the
+    // cache; written tables are cleared again once the transaction settles.
+    // Dry runs never touch the cache.
+    const cacheAllowed = enableQueryCache && !transactionState && !scope.dryRun;
+
+    // Every statement runs here. Plain reads on the pool may go to a read
+    // replica; everything else runs on `executor` and starts the replicas'
+    // sticky window. Statements on the pool retry transient errors on their
+    // own; on a connection, the transaction retries as a whole instead.
+    // Each attempt emits query:start and query:end or query:error. In a dry
+    // run the statement only emits query:dryrun; reads come back empty and
+    // writes affect no rows.
+    const execute = async (sql, params = [], { primary = scope.primary } = {}) => {
+      const read = isReadStatement(sql);
+      const tables = tablesIn(sql);
+
+      if (scope.dryRun) {
+        if (Array.isArray(scope.dryRun)) scope.dryRun.push({ sql, params });
+        emit('query:dryrun', { sql, params, table: tables[0] || null, tables });
+        return read
+          ? [[], []]
+          : [{ fieldCount: 0, affectedRows: 0, insertId: 0, info: '', serverStatus: 0, warningStatus: 0, changedRows: 0 }, undefined];
+      }
 
-    insertAndReturn: async (table, data, idField = 'id') => {
-      const id = await db.insert(table, data);
-      return await db.findOne(table, { [idField]: id });
-    },
+      const run = async (attempt = 1) => {
+        const details = { id: ++queryCounter, sql, params, table: tables[0] || null, tables, attempt, cached: false };
+        emit('query:start', details);
+        const start = Date.now();
+        try {
+          const result = read && !primary && executor === pool
+            ? await replicaSet.execute(sql, params)
+            : await executor.execute(sql, params);
+          if (!read) replicaSet.markWrite();
+
+          const duration = Date.now() - start;
+          if (slowQueryThreshold && duration > slowQueryThreshold) {
+            log.warn('Slow query', { sql, duration });
+          }
+          queryMetrics.recordQuery(details, duration);
+          emit('query:end', { ...details, duration, rows: rowCount(result[0]) });
+          return result;
+        } catch (err) {
+          const duration = Date.now() - start;
+          queryMetrics.recordError(details, duration, err);
+          emit('query:error', { ...details, duration, error: err });
+          throw err;
+        }
+      };
 
-    bulkInsertAndReturn: async (table, dataArray, idField = 'id') => {
-      validateTable(table);
-      if (!Array.isArray(dataArray) || dataArray.length === 0) return [];
-      
-      const connection = await pool.getConnection();
       try {
-        await connection.beginTransaction();
-        const insertedIds = [];
-        
-        for (const data of dataArray) {
-          const id = await db.insert(table, data);
-          insertedIds.push(id);
-        }
-        
-        await connection.commit();
-        return await db.getByIds(table, insertedIds, idField);
+        if (executor !== pool) return await run();
+        return await withRetry(run, retry, (err) => isRetryable(err, { safe: read }), log);
       } catch (err) {
-        await connection.rollback();
-        throw err;
-      } finally {
-        connection.release();
+        log.error('Query failed', { sql, error: err });
+        throw await toDbError(err, { sql, table: tables[0] || null });
       }
-    },
-
-    upsert: async (table, data, conflictKeys = ['id']) => {
-      validateTable(table);
-      const now = new Date();
-      const finalData = {
-        ...data,
-        ...(useTimestamps ? { created_at: now, updated_at: now } : {})
-      };
-    
-      const keys = Object.keys(finalData);
-      const values = Object.values(finalData);
-      const placeholders = keys.map(() => '?').join(', ');
-      const updateClause = keys
-        .filter(k => !conflictKeys.includes(k))
-        .map(k => `\`${k}\` = VALUES(\`${k}\`)`)
-        .join(', ');
-      
-      const sql = `
-        INSERT INTO \`${table}\` (${keys.map(k => `\`${k}\``).join(', ')}) 
-        VALUES (${placeholders})
-        ON DUPLICATE KEY UPDATE ${updateClause}
-      `;
-      
-      const [result] = await pool.execute(sql, values);
-      clearCacheForTable(table);
-      return result.insertId || result.affectedRows;
-    },
-
-    bulkInsert: async (table, dataArray) => {
-      validateTable(table);
-      if (!Array.isArray(dataArray) || dataArray.length === 0) return;
-      const keys = Object.keys(dataArray[0]);
-      const placeholders = dataArray.map(() => `(${keys.map(() => '?').join(', ')})`).join(', ');
-      const values = dataArray.flatMap(Object.values);
-      const sql = `INSERT INTO \`${table}\` (${keys.map(k => `\`${k}\``).join(', ')}) VALUES ${placeholders}`;
-      const [result] = await pool.execute(sql, values);
-      clearCacheForTable(table);
-      return result.affectedRows;
-    },
-
-    bulkUpsert: async (table, dataArray, conflictKeys = ['id']) => {
-      validateTable(table);
-      if (!Array.isArray(dataArray) || dataArray.length === 0) return 0;
-      
-      const keys = Object.keys(dataArray[0]);
-      const placeholders = dataArray.map(() => `(${keys.map(() => '?').join(', ')})`).join(', ');
-      const values = dataArray.flatMap(Object.values);
-      const updateClause = keys
-        .filter(k => !conflictKeys.includes(k))
-        .map(k => `\`${k}\` = VALUES(\`${k}\`)`)
-        .join(', ');
-      
-      const sql = `
-        INSERT INTO \`${table}\` (${keys.map(k => `\`${k}\``).join(', ')})
-        VALUES ${placeholders}
-        ON DUPLICATE KEY UPDATE ${updateClause}
-      `;
-      
-      const [result] = await pool.execute(sql, values);
-      clearCacheForTable(table);
-      return result.affectedRows;
-    },
-
-    updateById: async (table, id, data, idField = 'id') => {
-      validateTable(table);
-      const finalData = {
-        ...data,
-        ...(useTimestamps ? { updated_at: new Date() } : {})
-      };
-    
-      const keys = Object.keys(finalData);
-      const values = Object.values(finalData);
-      const setClause = keys.map(k => `\`${k}\` = ?`).join(', ');
-      const sql = `UPDATE \`${table}\` SET ${setClause} WHERE \`${idField}\` = ?`;
-      await pool.execute(sql, [...values, id]);
-      clearCacheForTable(table);
-    },
-
-    updateByIdAndReturn: async (table, id, data, idField = 'id') => {
-      await db.updateById(table, id, data, idField);
-      return await db.findOne(table, { [idField]: id });
-    },
+    };
+
+    const invalidateTable = async (table) => {
+      if (scope.dryRun) return;
+      if (transactionState) transactionState.tables.add(table);
+      await clearCacheForTables([table]);
+    };
+
+    // Soft-delete filter for `table` under the current scope, or '' when
+    // trashed rows are included or the table isn't soft-deleted. 'only' always
+    // applies, so onlyTrashed() works without the softDelete option.
+    const trashedFilter = (table, { prefix = null, mode = scope.trashed } = {}) => {
+      if (mode === 'include' || (mode === 'exclude' && !isSoftDeleteTable(table))) return '';
+      const column = prefix
+        ? `${quoteIdentifier(prefix)}.${quoteIdentifier(softDeleteColumn)}`
+        : quoteIdentifier(softDeleteColumn);
+      return `${column} ${mode === 'only' ? 'IS NOT NULL' : 'IS NULL'}`;
+    };
+
+    const andTrashed = (table, options) => {
+      const filter = trashedFilter(table, options);
+      return filter ? ` AND ${filter}` : '';
+    };
+
+    // Joined tables drop their trashed rows even under onlyTrashed(), which
+    // only targets the base table
+    const joinedMode = scope.trashed === 'only' ? 'exclude' : scope.trashed;
+    const joinedTrashed = (table, alias) => andTrashed(table, { prefix: alias, mode: joinedMode });
+
+    // Column metadata of `table`, loaded once through getTableSchema and
+    // shared by every bound db until refreshSchema(). A failed lookup isn't
+    // cached. Dry runs can't look it up, so they resolve null for tables not
+    // loaded yet and skip the column checks.
+    const loadSchema = (table) => {
+      if (scope.dryRun && !schemaCache.has(table)) return Promise.resolve(null);
+      if (!schemaCache.has(table)) {
+        const pending = db.getTableSchema(table)
+          .then(describeColumns)
+          .catch(err => {
+            schemaCache.delete(table);
+            throw err;
+          });
+        schemaCache.set(table, pending);
+      }
+      return schemaCache.get(table);
+    };
+
+    // Columns reads are checked against (null when validateColumns is off)
+    const loadColumns = (table) => (validateColumns ? loadSchema(table) : Promise.resolve(null));
+
+    // Column resolver for a statement on `table`; `aliases` maps any other
+    // qualifier it uses (joined tables, aliases) to the table behind it
+    const columnsOf = async (table, aliases = {}) => {
+      const known = {};
+      for (const [qualifier, source] of Object.entries({ [table]: table, ...aliases })) {
+        validateTable(source);
+        known[qualifier] = await loadColumns(source);
+      }
+      return createColumnResolver(table, known);
+    };
+
+    // Compiles conditions with every key checked by `resolver`; `prefix`
+    // qualifies unqualified keys
+    const compileWith = (resolver, conditions = {}, prefix = null) =>
+      compileConditions(conditions, {
+        resolveColumn: (key) => resolver.column(prefix && !key.includes('.') ? `${prefix}.${key}` : key)
+      });
 
-    updateWhere: async (table, conditions = {}, data = {}) => {
-      validateTable(table);
-      const finalData = {
-        ...data,
-        ...(useTimestamps ? { updated_at: new Date() } : {})
+    // Compiles a conditions object into a `WHERE ...` clause ('' when empty)
+    const buildWhereClause = async (table, conditions = {}) => {
+      const { sql, params } = compileWith(await columnsOf(table), conditions);
+      return { whereClause: sql ? `WHERE ${sql}` : '', whereValues: params };
+    };
+
+    // Like buildWhereClause, with the soft-delete scope for `table` applied.
+    // Pass `resolver` when `prefix` is an alias the default resolver won't know.
+    const scopedWhere = async (table, conditions = {}, options = {}) => {
+      const { prefix = null, filter = null } = options;
+      const resolver = options.resolver || await columnsOf(table);
+      const { sql, params } = compileWith(resolver, conditions, prefix);
+      const filters = [filter && filter.sql, sql, trashedFilter(table, options)].filter(Boolean);
+      return {
+        whereClause: filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '',
+        whereValues: [...(filter ? filter.params : []), ...params]
       };
-    
-      const dataKeys = Object.keys(finalData);
-      const dataValues = Object.values(finalData);
-      const condKeys = Object.keys(conditions);
-      const condValues = Object.values(conditions);
-      
-      const setClause = dataKeys.map(k => `\`${k}\` = ?`).join(', ');
-      const whereClause = condKeys.map(k => `\`${k}\` = ?`).join(' AND ');
-      
-      const sql = `UPDATE \`${table}\` SET ${setClause} WHERE ${whereClause}`;
-      const [result] = await pool.execute(sql, [...dataValues, ...condValues]);
-      clearCacheForTable(table);
-      return result.affectedRows;
-    },
-
-    deleteById: async (table, id, soft = false, idField = 'id') => {
-      validateTable(table);
-      if (soft) {
-        const sql = `UPDATE \`${table}\` SET deleted_at = NOW() WHERE \`${idField}\` = ?`;
-        await pool.execute(sql, [id]);
-      } else {
-        const sql = `DELETE FROM \`${table}\` WHERE \`${idField}\` = ?`;
-        await pool.execute(sql, [id]);
+    };
+
+    // Attaches the relations named in a `with` option to copies of `rows`,
+    // leaving cached result rows untouched
+    const withRelations = async (table, rows, spec) => {
+      const tree = parseWith(spec || []);
+      if (Object.keys(tree).length === 0) return rows;
+      const copies = rows.map(row => ({ ...row }));
+      return await loadRelations(db, table, copies, tree, (name) => models.get(name));
+    };
+
+    // Data keys of a write, escaped as identifiers
+    const quoteKeys = (keys) => keys.map(quoteIdentifier).join(', ');
+
+    // Fits write data to the table: unknown keys are rejected or dropped per
+    // `unknownFields`, `timestamps` columns are set only where they exist and
+    // values are cast to their column types. Without a schema (dry runs) the
+    // data goes through as given.
+    const prepareWrite = async (table, data = {}, timestamps = []) => {
+      const columns = await loadSchema(table);
+      const prepared = {};
+
+      for (const [key, value] of Object.entries(data)) {
+        if (value === undefined) continue;
+        const column = columns?.get(key);
+        if (columns && !column && unknownFields === 'reject') {
+          throw new ValidationError(`Unknown column '${key}' in table '${table}'`);
+        }
+        if (columns && !column && unknownFields === 'drop') continue;
+        prepared[key] = column && castValues ? castValue(key, column, value) : value;
       }
-      clearCacheForTable(table);
-    },
 
-    deleteWhere: async (table, conditions = {}, soft = false) => {
-      validateTable(table);
-      const keys = Object.keys(conditions);
-      const values = Object.values(conditions);
-      const whereClause = keys.map(k => `\`${k}\` = ?`).join(' AND ');
-      
-      const sql = soft 
-        ? `UPDATE \`${table}\` SET deleted_at = NOW() WHERE ${whereClause}`
-        : `DELETE FROM \`${table}\` WHERE ${whereClause}`;
-      
-      const [result] = await pool.execute(sql, values);
-      clearCacheForTable(table);
-      return result.affectedRows;
-    },
-
-    restore: async (table, id, idField = 'id') => {
-      validateTable(table);
-      const sql = `UPDATE \`${table}\` SET deleted_at = NULL WHERE \`${idField}\` = ?`;
-      await pool.execute(sql, [id]);
-      clearCacheForTable(table);
-    },
-
-    restoreWhere: async (table, conditions = {}) => {
-      validateTable(table);
-      const keys = Object.keys(conditions);
-      const values = Object.values(conditions);
-      const whereClause = keys.map(k => `\`${k}\` = ?`).join(' AND ');
-      const sql = `UPDATE \`${table}\` SET deleted_at = NULL WHERE ${whereClause}`;
-      const [result] = await pool.execute(sql, values);
-      clearCacheForTable(table);
-      return result.affectedRows;
-    },
+      if (usesTimestamps(table)) {
+        const now = new Date();
+        timestamps.filter(name => !columns || columns.has(name)).forEach(name => { prepared[name] = now; });
+      }
 
-    select: async (table, options = {}) => {
-      validateTable(table);
+      return prepared;
+    };
+
+    // Raw SQL fragments (whereRaw, having, ...) must come from db.rawExpr()
+    const rawClause = (value, name) => {
+      if (!value) return { sql: '', params: [] };
+      if (!isRawExpr(value)) throw new ValidationError(`${name} must be built with db.rawExpr()`);
+      return { sql: value.sql, params: value.params };
+    };
+
+    const primaryKeyOf = (table) => models.get(table)?.primaryKey || 'id';
+
+    // Rows a write targets, read from the writer past the cache and the
+    // soft-delete scope: by
+    // `ids` when given, otherwise by `conditions` (plain inserts have neither)
+    const readTargets = async (table, { ids, idField, conditions }) => {
+      if (ids) {
+        if (ids.length === 0) return [];
+        const cols = await columnsOf(table);
+        const placeholders = ids.map(() => '?').join(', ');
+        const [rows] = await execute(`SELECT * FROM \`${table}\` WHERE ${cols.column(idField)} IN (${placeholders})`, ids, { primary: true });
+        return rows;
+      }
+      if (!conditions) return [];
+      const { whereClause, whereValues } = await buildWhereClause(table, conditions);
+      const [rows] = await execute(`SELECT * FROM \`${table}\` ${whereClause}`, whereValues, { primary: true });
+      return rows;
+    };
+
+    // Conditions matching upserted rows by their conflict keys, when every
+    // row carries them
+    const conflictConditions = (rows, conflictKeys) => {
+      if (!rows.every(row => conflictKeys.every(key => row[key] !== undefined))) return undefined;
+      const matches = rows.map(row => Object.fromEntries(conflictKeys.map(key => [key, row[key]])));
+      return matches.length === 1 ? matches[0] : { $or: matches };
+    };
+
+    // Before-listeners may replace the context; writes honour its `data` and
+    // `conditions`
+    const beforeHook = (operation, context) => hooks.before(operation, { ...context, operation });
+
+    // Runs `write`, which returns { result, ids, ...details }. When anyone
+    // listens, after-listeners get the affected `ids` and the rows `before`
+    // and `after` the write. Upserts re-read by their conflict conditions so
+    // inserted and updated rows both show up. Dry runs skip after-listeners.
+    const watchWrite = async (operation, context, write) => {
+      const { table } = context;
+      if (scope.dryRun || !hooks.has('after', operation, table)) return (await write()).result;
+
+      const idField = context.idField || primaryKeyOf(table);
+      const before = await readTargets(table, { ids: context.ids, idField, conditions: context.conditions });
+      const { result, ids: writtenIds = [], ...details } = await write();
+      const reread = operation === 'upsert' && context.conditions;
+
+      const targetIds = [...new Set([...before.map(row => row[idField]), ...writtenIds])];
+      const after = await readTargets(table, reread ? { conditions: context.conditions } : { ids: targetIds, idField });
+      const ids = reread ? after.map(row => row[idField]) : targetIds;
+
+      await hooks.after(operation, { ...context, ...details, ids, before, after });
+      return result;
+    };
+
+    // Adds (sign 1) or subtracts (sign -1) each of `amounts` to its column
+    // on one row, as an 'update' for the hooks
+    const adjustColumns = async (method, table, id, amounts, sign, idField) => {
+      validateTable(table);
+      const cols = await columnsOf(table);
+      const context = await beforeHook('update', { table, method, ids: [id], idField, amounts });
+
+      return await watchWrite('update', context, async () => {
+        const operator = sign < 0 ? '-' : '+';
+        const setClauses = Object.keys(amounts).map(field =>
+          `${cols.column(field)} = ${cols.column(field)} ${operator} ?`
+        );
+        const sql = `UPDATE \`${table}\` SET ${setClauses.join(', ')} WHERE ${cols.column(idField)} = ?`;
+        const [result] = await execute(sql, [...Object.values(amounts), id]);
+        await invalidateTable(table);
+        return { result };
+      });
+    };
+
+    // Reads run the select hooks; before-listeners may replace `conditions`.
+    // After-listeners get what `details` picks from the result: its `rows`
+    // unless the read resolves to something else (a count, a page)
+    const watchRead = async (context, read, details = (rows) => ({ rows })) => {
+      const prepared = await beforeHook('select', context);
+      const result = await read(prepared);
+      if (!scope.dryRun) await hooks.after('select', { ...prepared, ...details(result) });
+      return result;
+    };
+
+    // select() and count() once the select hooks have settled `conditions`;
+    // paginate() runs both on the same ones
+    const selectRows = async (table, conditions, options = {}) => {
       const {
         columns = ['*'],
-        where = {},
-        whereRaw = '',
+        whereRaw = null,
         orderBy = [],
         groupBy = [],
-        having = '',
+        having = null,
         limit = defaultPagination.limit,
         offset = defaultPagination.offset,
-        useCache = false
+        useCache = false,
+        with: relations = []
       } = options;
 
-      const selectClause = Array.isArray(columns) ? columns.join(', ') : columns;
-      const whereKeys = Object.keys(where);
-      const whereValues = Object.values(where);
-      
+      const cols = await columnsOf(table);
+      const selectClause = cols.select(columns);
+      const { sql: whereSql, params: whereParams } = compileWith(cols, conditions);
+      // whereRaw stands in for the caller's own `where`, not for conditions
+      // a select hook added
+      const raw = compileWith(cols, options.where || {}).sql ? { sql: '', params: [] } : rawClause(whereRaw, 'whereRaw');
+      const filters = [whereSql, raw.sql ? `(${raw.sql})` : '', trashedFilter(table)].filter(Boolean);
+      const havingClause = rawClause(having, 'having');
+
       let sql = `SELECT ${selectClause} FROM \`${table}\``;
-      
-      if (whereKeys.length > 0) {
-        const whereClause = whereKeys.map(k => `\`${k}\` = ?`).join(' AND ');
-        sql += ` WHERE ${whereClause}`;
-      } else if (whereRaw) {
-        sql += ` WHERE ${whereRaw}`;
+
+      if (filters.length > 0) {
+        sql += ` WHERE ${filters.join(' AND ')}`;
       }
-      
+
       if (groupBy.length > 0) {
-        sql += ` GROUP BY ${groupBy.join(', ')}`;
+        sql += ` GROUP BY ${cols.groupBy(groupBy)}`;
       }
-      
-      if (having) {
-        sql += ` HAVING ${having}`;
-      }
-      
-      if (orderBy.length > 0) {
-        const orderClauses = orderBy.map(o => {
-          if (typeof o === 'string') return o;
-          return `\`${o.column}\` ${o.direction || 'ASC'}`;
-        });
-        sql += ` ORDER BY ${orderClauses.join(', ')}`;
-      }
-      
-      if (limit) sql += ` LIMIT ${limit}`;
-      if (offset) sql += ` OFFSET ${offset}`;
-      
-      return await db.query(sql, whereValues, useCache);
-    },
 
-    selectWhere: async (table, conditions = {}, options = {}) => {
-      validateTable(table);
-      const keys = Object.keys(conditions);
-      const values = Object.values(conditions);
-      const whereClause = keys.map(k => `\`${k}\` = ?`).join(' AND ');
-      const limit = options.limit ? `LIMIT ${options.limit}` : '';
-      const offset = options.offset ? `OFFSET ${options.offset}` : '';
-      const sql = `SELECT * FROM \`${table}\`${keys.length ? ` WHERE ${whereClause}` : ''} ${limit} ${offset}`.trim();
-      return await db.query(sql, values, options.useCache);
-    },
-
-    findOne: async (table, conditions = {}) => {
-      const result = await db.selectWhere(table, conditions, { limit: 1 });
-      return result[0] || null;
-    },
-
-    findOrCreate: async (table, conditions = {}, defaults = {}) => {
-      const existing = await db.findOne(table, conditions);
-      if (existing) {
-        return { record: existing, created: false };
+      if (havingClause.sql) {
+        sql += ` HAVING ${havingClause.sql}`;
       }
-      
-      const data = { ...conditions, ...defaults };
-      const id = await db.insert(table, data);
-      const record = await db.findOne(table, { id });
-      return { record, created: true };
-    },
-
-    findOneAndUpdate: async (table, conditions = {}, data = {}) => {
-      const existing = await db.findOne(table, conditions);
-      if (!existing) return null;
-      
-      await db.updateById(table, existing.id, data);
-      return await db.findOne(table, { id: existing.id });
-    },
-
-    findOneAndDelete: async (table, conditions = {}, soft = false) => {
-      const existing = await db.findOne(table, conditions);
-      if (!existing) return null;
-      
-      await db.deleteById(table, existing.id, soft);
-      return existing;
-    },
-
-    paginate: async (table, options = {}) => {
-      const {
-        page = 1,
-        perPage = 20,
-        where = {},
-        orderBy = []
-      } = options;
 
-      const offset = (page - 1) * perPage;
-      const total = await db.count(table, where);
-      const data = await db.select(table, {
-        where,
-        orderBy,
-        limit: perPage,
-        offset
-      });
+      if (orderBy.length > 0) {
+        sql += ` ORDER BY ${cols.orderBy(orderBy)}`;
+      }
 
-      return {
-        data,
-        pagination: {
-          total,
-          page,
-          perPage,
-          totalPages: Math.ceil(total / perPage),
-          hasNext: page < Math.ceil(total / perPage),
-          hasPrev: page > 1
-        }
-      };
-    },
+      if (limit) sql += ` LIMIT ${toLimit(limit)}`;
+      if (offset) sql += ` OFFSET ${toLimit(offset, 'offset')}`;
 
-    cursorPaginate: async (table, options = {}) => {
-      validateTable(table);
-      const {
-        cursor = null,
-        limit = 20,
-        cursorColumn = 'id',
-        direction = 'ASC',
-        where = {}
-      } = options;
+      const rows = await db.query(sql, [...whereParams, ...raw.params, ...havingClause.params], useCache);
+      return await withRelations(table, rows, relations);
+    };
 
-      const whereKeys = Object.keys(where);
-      const whereValues = Object.values(where);
-      
-      let sql = `SELECT * FROM \`${table}\``;
-      let params = [];
-      
-      const conditions = [];
-      if (whereKeys.length > 0) {
-        conditions.push(...whereKeys.map(k => `\`${k}\` = ?`));
-        params.push(...whereValues);
-      }
-      
-      if (cursor) {
-        const operator = direction === 'ASC' ? '>' : '<';
-        conditions.push(`\`${cursorColumn}\` ${operator} ?`);
-        params.push(cursor);
-      }
-      
-      if (conditions.length > 0) {
-        sql += ` WHERE ${conditions.join(' AND ')}`;
-      }
-      
-      sql += ` ORDER BY \`${cursorColumn}\` ${direction} LIMIT ${limit + 1}`;
-      
-      const results = await db.query(sql, params);
-      const hasMore = results.length > limit;
-      const data = hasMore ? results.slice(0, limit) : results;
-      const nextCursor = hasMore && data.length > 0 ? data[data.length - 1][cursorColumn] : null;
-      
-      return {
-        data,
-        nextCursor,
-        hasMore
-      };
-    },
-
-    count: async (table, conditions = {}) => {
-      validateTable(table);
-      const keys = Object.keys(conditions);
-      const values = Object.values(conditions);
+    const countRows = async (table, conditions) => {
+      const { whereClause, whereValues } = await scopedWhere(table, conditions);
       let sql = `SELECT COUNT(*) as count FROM \`${table}\``;
-      if (keys.length > 0) {
-        const whereClause = keys.map(k => `\`${k}\` = ?`).join(' AND ');
-        sql += ` WHERE ${whereClause}`;
+      if (whereClause) {
+        sql += ` ${whereClause}`;
       }
-      const result = await db.getOne(sql, values);
+      const result = await db.getOne(sql, whereValues);
       return result ? result.count : 0;
-    },
+    };
+
+    // A `method` read through the select hooks: `read` gets scopedWhere() of
+    // the conditions the before-listeners settled on, ANDed with `filter`
+    const readWhere = (table, method, conditions, read, filter = null) =>
+      watchRead({ table, method, conditions }, async (context) =>
+        await read(await scopedWhere(table, context.conditions, { filter })));
+
+    // SELECT * of the rows matching `conditions` and the SQL `filter`
+    const selectMatching = async (table, method, conditions, filter = null) => {
+      validateTable(table);
+      return await readWhere(table, method, conditions, async ({ whereClause, whereValues }) =>
+        await db.query(`SELECT * FROM \`${table}\` ${whereClause}`.trim(), whereValues), filter);
+    };
+
+    // This db under a different scope, bound once per scope change so
+    // primary(), withTrashed() and the like don't rebuild it on every call
+    const variants = new Map();
+    const variant = (changes) => {
+      if (Object.entries(changes).every(([key, value]) => scope[key] === value)) return db;
+      const key = JSON.stringify(changes);
+      if (!variants.has(key)) variants.set(key, bindDb(executor, transactionState, { ...scope, ...changes }));
+      return variants.get(key);
+    };
+
+    const db = {
+      query: async (sql, params = [], useCache = false) => {
+        const cacheKey = getCacheKey(sql, params);
+        const cacheable = useCache && cacheAllowed;
+
+        if (cacheable) {
+          let cached;
+          try {
+            cached = await queryCache.get(cacheKey);
+          } catch (err) {
+            log.warn('Cache read failed', { sql, error: err });
+          }
+          if (cached !== undefined) {
+            cacheCounters.hits++;
+            const tables = tablesIn(sql);
+            const details = { id: ++queryCounter, sql, params, table: tables[0] || null, tables, attempt: 1, cached: true };
+            emit('query:start', details);
+            emit('query:end', { ...details, duration: 0, rows: rowCount(cached) });
+            return cached;
+          }
+          cacheCounters.misses++;
+        }
 
-    countBy: async (table, column, where = {}) => {
-      validateTable(table);
-      const whereKeys = Object.keys(where);
-      const whereValues = Object.values(where);
-      
-      let sql = `SELECT \`${column}\`, COUNT(*) as count FROM \`${table}\``;
-      
-      if (whereKeys.length > 0) {
-        const whereClause = whereKeys.map(k => `\`${k}\` = ?`).join(' AND ');
-        sql += ` WHERE ${whereClause}`;
-      }
-      
-      sql += ` GROUP BY \`${column}\``;
-      
-      return await db.query(sql, whereValues);
-    },
+        const [rows] = await execute(sql, params);
 
-    exists: async (table, conditions = {}) => {
-      const result = await db.findOne(table, conditions);
-      return !!result;
-    },
+        if (cacheable) {
+          try {
+            await queryCache.set(cacheKey, rows, { ttl: cacheExpiry, tags: tablesIn(sql) });
+          } catch (err) {
+            log.warn('Cache write failed', { sql, error: err });
+          }
+        }
 
-    getByIds: async (table, ids = [], idField = 'id') => {
-      validateTable(table);
-      if (!Array.isArray(ids) || ids.length === 0) return [];
-      const placeholders = ids.map(() => '?').join(', ');
-      const sql = `SELECT * FROM \`${table}\` WHERE \`${idField}\` IN (${placeholders})`;
-      return await db.query(sql, ids);
-    },
+        return rows;
+      },
 
-    first: async (table, orderBy = 'id', direction = 'ASC') => {
-      validateTable(table);
-      const sql = `SELECT * FROM \`${table}\` ORDER BY \`${orderBy}\` ${direction} LIMIT 1`;
-      return await db.getOne(sql);
-    },
+      getOne: async (sql, params = [], useCache = false) => {
+        const rows = await db.query(sql, params, useCache);
+        return rows[0] || null;
+      },
 
-    last: async (table, orderBy = 'id', direction = 'DESC') => {
-      return await db.first(table, orderBy, direction);
-    },
+      insert: async (table, data, idField = primaryKeyOf(table)) => {
+        validateTable(table);
+        const context = await beforeHook('insert', { table, method: 'insert', data });
 
-    random: async (table, count = 1) => {
-      validateTable(table);
-      const sql = `SELECT * FROM \`${table}\` ORDER BY RAND() LIMIT ${count}`;
-      const results = await db.query(sql);
-      return count === 1 ? (results[0] || null) : results;
-    },
+        return await watchWrite('insert', context, async () => {
+          const finalData = await prepareWrite(table, context.data, ['created_at', 'updated_at']);
 
-    batchUpdate: async (table, updates = [], idField = 'id') => {
-      validateTable(table);
-      if (!Array.isArray(updates) || updates.length === 0) return 0;
-      
-      const connection = await pool.getConnection();
-      try {
-        await connection.beginTransaction();
-        
-        for (const update of updates) {
-          const { id, ...data } = update;
-          const finalData = {
-            ...data,
-            ...(useTimestamps ? { updated_at: new Date() } : {})
-          };
-          
           const keys = Object.keys(finalData);
           const values = Object.values(finalData);
-          const setClause = keys.map(k => `\`${k}\` = ?`).join(', ');
-          const sql = `UPDATE \`${table}\` SET ${setClause} WHERE \`${idField}\` = ?`;
-          await connection.execute(sql, [...values, id]);
-        }
-        
-        await connection.commit();
-        clearCacheForTable(table);
-        return updates.length;
-      } catch (err) {
-        await connection.rollback();
-        throw err;
-      } finally {
-        connection.release();
-      }
-    },
-
-    batchDelete: async (table, ids = [], soft = false, idField = 'id') => {
-      validateTable(table);
-      if (!Array.isArray(ids) || ids.length === 0) return 0;
-      
-      const placeholders = ids.map(() => '?').join(', ');
-      const sql = soft
-        ? `UPDATE \`${table}\` SET deleted_at = NOW() WHERE \`${idField}\` IN (${placeholders})`
-        : `DELETE FROM \`${table}\` WHERE \`${idField}\` IN (${placeholders})`;
-      
-      const [result] = await pool.execute(sql, ids);
-      clearCacheForTable(table);
-      return result.affectedRows;
-    },
-
-    truncate: async (table) => {
-      validateTable(table);
-      await db.query('SET FOREIGN_KEY_CHECKS = 0');
-      await db.query(`TRUNCATE TABLE \`${table}\``);
-      await db.query('SET FOREIGN_KEY_CHECKS = 1');
-      clearCacheForTable(table);
-      return true;
-    },
-
-
-    increment: async (table, id, field, amount = 1, idField = 'id') => {
-      validateTable(table);
-      if (typeof amount !== 'number' || isNaN(amount)) {
-        throw new Error('Amount must be a valid number');
-      }
-      const sql = `UPDATE \`${table}\` SET \`${field}\` = \`${field}\` + ? WHERE \`${idField}\` = ?`;
-      const [result] = await pool.execute(sql, [amount, id]);
-      clearCacheForTable(table);
-      return result.affectedRows;
-    },
-
-    decrement: async (table, id, field, amount = 1, idField = 'id') => {
-      validateTable(table);
-      if (typeof amount !== 'number' || isNaN(amount)) {
-        throw new Error('Amount must be a valid number');
-      }
-      const sql = `UPDATE \`${table}\` SET \`${field}\` = \`${field}\` - ? WHERE \`${idField}\` = ?`;
-      const [result] = await pool.execute(sql, [amount, id]);
-      clearCacheForTable(table);
-      return result.affectedRows;
-    },
-
-    incrementMany: async (table, id, fields = {}, idField = 'id') => {
-      validateTable(table);
-      const setClauses = Object.keys(fields).map(field => 
-        `\`${field}\` = \`${field}\` + ?`
-      );
-      const values = Object.values(fields);
-      const sql = `UPDATE \`${table}\` SET ${setClauses.join(', ')} WHERE \`${idField}\` = ?`;
-      clearCacheForTable(table);
-      return await db.query(sql, [...values, id]);
-    },
-
-    decrementMany: async (table, id, fields = {}, idField = 'id') => {
-      validateTable(table);
-      const setClauses = Object.keys(fields).map(field => 
-        `\`${field}\` = \`${field}\` - ?`
-      );
-      const values = Object.values(fields);
-      const sql = `UPDATE \`${table}\` SET ${setClauses.join(', ')} WHERE \`${idField}\` = ?`;
-      clearCacheForTable(table);
-      return await db.query(sql, [...values, id]);
-    },
-
-    aggregate: async (table, options = {}) => {
-      validateTable(table);
-      const {
-        functions = [],
-        groupBy = [],
-        where = {},
-        having = ''
-      } = options;
+          const placeholders = keys.map(() => '?').join(', ');
+          const sql = `INSERT INTO \`${table}\` (${quoteKeys(keys)}) VALUES (${placeholders})`;
+          const [result] = await execute(sql, values);
+          await invalidateTable(table);
+
+          // Tables without an auto-increment key report insertId 0
+          const id = finalData[idField] ?? result.insertId;
+          return { result: id, id, ids: [id], data: finalData };
+        });
+      },
 
-      const funcClauses = functions.map(f => {
-      const col = f.column === '*' ? '*' : `\`${f.column}\``;
-      return `${f.func}(${col}) as ${f.alias || f.column}`;
-    }).join(', ');
+      insertAndReturn: async (table, data, idField = primaryKeyOf(table)) => {
+        const id = await db.insert(table, data, idField);
+        return await db.primary().findOne(table, { [idField]: id });
+      },
 
-      const whereKeys = Object.keys(where);
-      const whereValues = Object.values(where);
-      const whereClause = whereKeys.length > 0 
-        ? `WHERE ${whereKeys.map(k => `\`${k}\` = ?`).join(' AND ')}`
-        : '';
+      bulkInsertAndReturn: async (table, dataArray, idField = primaryKeyOf(table)) => {
+        validateTable(table);
+        if (!Array.isArray(dataArray) || dataArray.length === 0) return [];
       
-      const groupClause = groupBy.length > 0 
-        ? `GROUP BY ${groupBy.map(g => `\`${g}\``).join(', ')}`
-        : '';
-      
-      const havingClause = having ? `HAVING ${having}` : '';
-      
-      const sql = `
-        SELECT ${groupBy.map(g => `\`${g}\``).join(', ')}${groupBy.length > 0 ? ', ' : ''}${funcClauses}
-        FROM \`${table}\`
-        ${whereClause}
-        ${groupClause}
-        ${havingClause}
-      `.trim();
-      
-      return await db.query(sql, whereValues);
-    },
-
-    min: async (table, column, where = {}) => {
-      const result = await db.aggregate(table, {
-        functions: [{ func: 'MIN', column, alias: 'min_value' }],
-        where
-      });
-      return result[0]?.min_value || null;
-    },
-
-    max: async (table, column, where = {}) => {
-      const result = await db.aggregate(table, {
-        functions: [{ func: 'MAX', column, alias: 'max_value' }],
-        where
-      });
-      return result[0]?.max_value || null;
-    },
-
-    avg: async (table, column, where = {}) => {
-  const result = await db.aggregate(table, {
-    functions: [{ func: 'AVG', column, alias: 'avg_value' }],
-    where
-  });
-  return result.length ? Number(result[0].avg_value) : 0;
-},
-
-sum: async (table, column, where = {}) => {
-  const result = await db.aggregate(table, {
-    functions: [{ func: 'SUM', column, alias: 'sum_value' }],
-    where
-  });
-  return result.length ? Number(result[0].sum_value) : 0;
-},
-
+        return await db.transaction(async (tx) => {
+          const insertedIds = [];
+        
+          for (const data of dataArray) {
+            const id = await tx.insert(table, data, idField);
+            insertedIds.push(id);
+          }
+        
+          return await tx.getByIds(table, insertedIds, idField);
+        });
+      },
 
-    distinctValues: async (table, column) => {
-      validateTable(table);
-      const sql = `SELECT DISTINCT \`${column}\` FROM \`${table}\``;
-      return await db.query(sql);
-    },
+      upsert: async (table, data, conflictKeys = [primaryKeyOf(table)]) => {
+        validateTable(table);
+        const context = await beforeHook('upsert', { table, method: 'upsert', data, conflictKeys });
+        const conditions = conflictConditions([context.data], conflictKeys);
 
-    pluck: async (table, column, where = {}) => {
-      validateTable(table);
-      const whereKeys = Object.keys(where);
-      const whereValues = Object.values(where);
-      
-      let sql = `SELECT \`${column}\` FROM \`${table}\``;
-      
-      if (whereKeys.length > 0) {
-        const whereClause = whereKeys.map(k => `\`${k}\` = ?`).join(' AND ');
-        sql += ` WHERE ${whereClause}`;
-      }
-      
-      const results = await db.query(sql, whereValues);
-      return results.map(row => row[column]);
-    },
+        return await watchWrite('upsert', { ...context, conditions }, async () => {
+          const finalData = await prepareWrite(table, context.data, ['created_at', 'updated_at']);
 
-    pivotTable: async (table, rowFields = [], columnField, valueField, options = {}) => {
-      validateTable(table);
+          const keys = Object.keys(finalData);
+          const values = Object.values(finalData);
+          const placeholders = keys.map(() => '?').join(', ');
+          const updateClause = keys
+            .filter(k => !conflictKeys.includes(k))
+            .map(k => `${quoteIdentifier(k)} = VALUES(${quoteIdentifier(k)})`)
+            .join(', ');
+
+          const sql = `
+            INSERT INTO \`${table}\` (${quoteKeys(keys)}) 
+            VALUES (${placeholders})
+            ON DUPLICATE KEY UPDATE ${updateClause}
+          `;
+
+          const [result] = await execute(sql, values);
+          await invalidateTable(table);
+          return { result: result.insertId || result.affectedRows, ids: result.insertId ? [result.insertId] : [], data: finalData };
+        });
+      },
 
-      if (!Array.isArray(rowFields) || rowFields.length === 0) {
-        throw new Error('pivotTable requires at least one row field.');
-      }
-      if (!columnField || typeof columnField !== 'string') {
-        throw new Error('pivotTable requires a columnField string.');
-      }
-      if (!valueField || typeof valueField !== 'string') {
-        throw new Error('pivotTable requires a valueField string.');
-      }
+      bulkInsert: async (table, dataArray) => {
+        validateTable(table);
+        if (!Array.isArray(dataArray) || dataArray.length === 0) return;
 
-      const {
-        aggregate = 'SUM',
-        filters = {},
-        includeTotals = true,
-        sortColumns = true,
-        defaultValue = 0
-      } = options;
-
-      const sanitizeField = (field) => {
-        if (typeof field !== 'string' || !field.trim()) {
-          throw new Error(`Invalid column name: ${field}`);
-        }
-        const trimmed = field.trim();
-        if (!/^[a-zA-Z0-9_.]+$/.test(trimmed)) {
-          throw new Error(`Unsafe column name: ${field}`);
+        // Before-listeners see one row at a time, as for insert()
+        const hooked = [];
+        for (const data of dataArray) {
+          hooked.push((await beforeHook('insert', { table, method: 'bulkInsert', data })).data);
         }
-        return trimmed;
-      };
-
-      const normalizedRowFields = rowFields.map(sanitizeField);
-      const normalizedColumnField = sanitizeField(columnField);
-      const normalizedValueField = sanitizeField(valueField);
-
-      const allowedAggregates = ['SUM', 'COUNT', 'AVG', 'MIN', 'MAX'];
-      const upperAggregate = aggregate.toUpperCase();
-      if (!allowedAggregates.includes(upperAggregate)) {
-        throw new Error(`Unsupported aggregate function: ${aggregate}`);
-      }
 
-      const filterKeys = Object.keys(filters);
-      const filterValues = Object.values(filters);
-      const whereClause = filterKeys.length
-        ? `WHERE ${filterKeys.map(key => `\`${sanitizeField(key)}\` = ?`).join(' AND ')}`
-        : '';
-
-      const selectColumns = [...normalizedRowFields, normalizedColumnField, normalizedValueField]
-        .map(field => `\`${field}\``).join(', ');
-
-      const sql = `SELECT ${selectColumns} FROM \`${table}\`${whereClause ? ` ${whereClause}` : ''}`;
-      const dataRows = await db.query(sql, filterValues);
+        return await watchWrite('insert', { table, method: 'bulkInsert', operation: 'insert', data: hooked }, async () => {
+          const rows = await Promise.all(hooked.map(data => prepareWrite(table, data)));
+          const keys = Object.keys(rows[0]);
+          const placeholders = rows.map(() => `(${keys.map(() => '?').join(', ')})`).join(', ');
+          const values = rows.flatMap(row => keys.map(k => row[k]));
+          const sql = `INSERT INTO \`${table}\` (${quoteKeys(keys)}) VALUES ${placeholders}`;
+          const [result] = await execute(sql, values);
+          await invalidateTable(table);
+
+          // A multi-row INSERT takes consecutive auto-increment ids from
+          // insertId (with the default auto_increment_increment of 1)
+          const primaryKey = primaryKeyOf(table);
+          const ids = rows.every(row => row[primaryKey] !== undefined)
+            ? rows.map(row => row[primaryKey])
+            : (result.insertId ? rows.map((_, index) => result.insertId + index) : []);
+          return { result: result.affectedRows, ids, data: rows };
+        });
+      },
 
-      const extractNumeric = (row) => {
-        const raw = row[normalizedValueField];
-        if (raw === null || raw === undefined) return null;
-        const num = Number(raw);
-        return Number.isNaN(num) ? null : num;
-      };
+      bulkUpsert: async (table, dataArray, conflictKeys = [primaryKeyOf(table)]) => {
+        validateTable(table);
+        if (!Array.isArray(dataArray) || dataArray.length === 0) return 0;
 
-      const aggregators = {
-        SUM: {
-          init: () => 0,
-          accumulate: (state, row) => {
-            const value = extractNumeric(row);
-            if (value === null) return state;
-            return state + value;
-          },
-          finalize: (state, fallback) => state ?? fallback
-        },
-        COUNT: {
-          init: () => 0,
-          accumulate: (state, row) => {
-            const raw = row[normalizedValueField];
-            return state + (raw === null || raw === undefined ? 0 : 1);
-          },
-          finalize: (state) => state
-        },
-        AVG: {
-          init: () => ({ sum: 0, count: 0 }),
-          accumulate: (state, row) => {
-            const value = extractNumeric(row);
-            if (value === null) return state;
-            return { sum: state.sum + value, count: state.count + 1 };
-          },
-          finalize: (state, fallback) => state.count === 0 ? fallback : state.sum / state.count
-        },
-        MIN: {
-          init: () => null,
-          accumulate: (state, row) => {
-            const value = extractNumeric(row);
-            if (value === null) return state;
-            if (state === null) return value;
-            return Math.min(state, value);
-          },
-          finalize: (state, fallback) => state === null ? fallback : state
-        },
-        MAX: {
-          init: () => null,
-          accumulate: (state, row) => {
-            const value = extractNumeric(row);
-            if (value === null) return state;
-            if (state === null) return value;
-            return Math.max(state, value);
-          },
-          finalize: (state, fallback) => state === null ? fallback : state
+        const hooked = [];
+        for (const data of dataArray) {
+          hooked.push((await beforeHook('upsert', { table, method: 'bulkUpsert', data, conflictKeys })).data);
         }
-      };
-
-      const aggregator = aggregators[upperAggregate];
-
-      if (dataRows.length === 0) {
-        return {
-          rows: [],
-          columns: [],
-          columnTotals: includeTotals ? {} : null,
-          grandTotal: includeTotals ? aggregator.finalize(aggregator.init(), defaultValue) : null,
-          aggregate: upperAggregate
+        const context = {
+          table,
+          method: 'bulkUpsert',
+          operation: 'upsert',
+          data: hooked,
+          conflictKeys,
+          conditions: conflictConditions(hooked, conflictKeys)
         };
-      }
 
-      const pivotMap = new Map();
-      const columnValuesSet = new Set();
-      const columnTotals = new Map();
-      let grandTotal = aggregator.init();
+        return await watchWrite('upsert', context, async () => {
+          const rows = await Promise.all(hooked.map(data => prepareWrite(table, data)));
+          const keys = Object.keys(rows[0]);
+          const placeholders = rows.map(() => `(${keys.map(() => '?').join(', ')})`).join(', ');
+          const values = rows.flatMap(row => keys.map(k => row[k]));
+          const updateClause = keys
+            .filter(k => !conflictKeys.includes(k))
+            .map(k => `${quoteIdentifier(k)} = VALUES(${quoteIdentifier(k)})`)
+            .join(', ');
+
+          const sql = `
+            INSERT INTO \`${table}\` (${quoteKeys(keys)})
+            VALUES ${placeholders}
+            ON DUPLICATE KEY UPDATE ${updateClause}
+          `;
+
+          const [result] = await execute(sql, values);
+          await invalidateTable(table);
+          return { result: result.affectedRows, data: rows };
+        });
+      },
 
-      for (const row of dataRows) {
-        const columnValue = row[normalizedColumnField];
-        columnValuesSet.add(columnValue);
+      updateById: async (table, id, data, idField = primaryKeyOf(table)) => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        const context = await beforeHook('update', { table, method: 'updateById', ids: [id], idField, data });
 
-        const rowKeyValues = normalizedRowFields.map(field => row[field]);
-        const rowKey = JSON.stringify(rowKeyValues);
+        return await watchWrite('update', context, async () => {
+          const finalData = await prepareWrite(table, context.data, ['updated_at']);
 
-        if (!pivotMap.has(rowKey)) {
-          const keyObj = {};
-          normalizedRowFields.forEach((field, index) => {
-            keyObj[field] = rowKeyValues[index];
-          });
-          pivotMap.set(rowKey, {
-            keys: keyObj,
-            cells: new Map(),
-            total: aggregator.init()
-          });
-        }
+          const keys = Object.keys(finalData);
+          if (keys.length === 0) throw new ValidationError('updateById requires at least one column to update');
+          const values = Object.values(finalData);
+          const setClause = keys.map(k => `${quoteIdentifier(k)} = ?`).join(', ');
+          const sql = `UPDATE \`${table}\` SET ${setClause} WHERE ${cols.column(idField)} = ?`;
+          await execute(sql, [...values, id]);
+          await invalidateTable(table);
+          return { result: undefined, data: finalData };
+        });
+      },
 
-        const pivotRow = pivotMap.get(rowKey);
-        const currentCell = pivotRow.cells.get(columnValue) ?? aggregator.init();
-        const updatedCell = aggregator.accumulate(currentCell, row);
-        pivotRow.cells.set(columnValue, updatedCell);
+      updateByIdAndReturn: async (table, id, data, idField = primaryKeyOf(table)) => {
+        await db.updateById(table, id, data, idField);
+        return await db.primary().findOne(table, { [idField]: id });
+      },
 
-        pivotRow.total = aggregator.accumulate(pivotRow.total, row);
+      updateWhere: async (table, conditions = {}, data = {}) => {
+        validateTable(table);
+        const context = await beforeHook('update', { table, method: 'updateWhere', conditions, data });
+        const { whereClause, whereValues } = await buildWhereClause(table, context.conditions);
+        if (!whereClause) throw new ValidationError('updateWhere requires at least one condition');
 
-        const currentColumnTotal = columnTotals.get(columnValue) ?? aggregator.init();
-        columnTotals.set(columnValue, aggregator.accumulate(currentColumnTotal, row));
+        return await watchWrite('update', context, async () => {
+          const finalData = await prepareWrite(table, context.data, ['updated_at']);
 
-        grandTotal = aggregator.accumulate(grandTotal, row);
-      }
+          const dataKeys = Object.keys(finalData);
+          if (dataKeys.length === 0) throw new ValidationError('updateWhere requires at least one column to update');
+          const dataValues = Object.values(finalData);
+          const setClause = dataKeys.map(k => `${quoteIdentifier(k)} = ?`).join(', ');
 
-      const columnValues = Array.from(columnValuesSet);
-      if (sortColumns) {
-        columnValues.sort((a, b) => {
-          if (a === b) return 0;
-          if (a === null || a === undefined) return -1;
-          if (b === null || b === undefined) return 1;
-          return a > b ? 1 : -1;
+          const sql = `UPDATE \`${table}\` SET ${setClause} ${whereClause}`;
+          const [result] = await execute(sql, [...dataValues, ...whereValues]);
+          await invalidateTable(table);
+          return { result: result.affectedRows, data: finalData };
         });
-      }
+      },
+
+      deleteById: async (table, id, soft = false, idField = primaryKeyOf(table)) => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        const context = await beforeHook('delete', { table, method: 'deleteById', ids: [id], idField, soft });
+
+        return await watchWrite('delete', context, async () => {
+          if (soft) {
+            const sql = `UPDATE \`${table}\` SET ${quoteIdentifier(softDeleteColumn)} = NOW() WHERE ${cols.column(idField)} = ?`;
+            await execute(sql, [id]);
+          } else {
+            const sql = `DELETE FROM \`${table}\` WHERE ${cols.column(idField)} = ?`;
+            await execute(sql, [id]);
+          }
+          await invalidateTable(table);
+          return { result: undefined };
+        });
+      },
+
+      deleteWhere: async (table, conditions = {}, soft = false) => {
+        validateTable(table);
+        const context = await beforeHook('delete', { table, method: 'deleteWhere', conditions, soft });
+        const { whereClause, whereValues } = await buildWhereClause(table, context.conditions);
+        if (!whereClause) throw new ValidationError('deleteWhere requires at least one condition');
+
+        return await watchWrite('delete', context, async () => {
+          const sql = soft 
+            ? `UPDATE \`${table}\` SET ${quoteIdentifier(softDeleteColumn)} = NOW() ${whereClause}`
+            : `DELETE FROM \`${table}\` ${whereClause}`;
+
+          const [result] = await execute(sql, whereValues);
+          await invalidateTable(table);
+          return { result: result.affectedRows };
+        });
+      },
+
+      restore: async (table, id, idField = primaryKeyOf(table)) => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        const context = await beforeHook('restore', { table, method: 'restore', ids: [id], idField });
+
+        return await watchWrite('restore', context, async () => {
+          const sql = `UPDATE \`${table}\` SET ${quoteIdentifier(softDeleteColumn)} = NULL WHERE ${cols.column(idField)} = ?`;
+          await execute(sql, [id]);
+          await invalidateTable(table);
+          return { result: undefined };
+        });
+      },
+
+      restoreWhere: async (table, conditions = {}) => {
+        validateTable(table);
+        const context = await beforeHook('restore', { table, method: 'restoreWhere', conditions });
+        const { whereClause, whereValues } = await buildWhereClause(table, context.conditions);
+        if (!whereClause) throw new ValidationError('restoreWhere requires at least one condition');
+
+        return await watchWrite('restore', context, async () => {
+          const sql = `UPDATE \`${table}\` SET ${quoteIdentifier(softDeleteColumn)} = NULL ${whereClause}`;
+          const [result] = await execute(sql, whereValues);
+          await invalidateTable(table);
+          return { result: result.affectedRows };
+        });
+      },
+
+      table: (table) => {
+        validateTable(table);
+        return createQueryBuilder(db, table, {
+          trashedFilter: (mode = scope.trashed) => trashedFilter(table, { mode }),
+          resolveColumns: () => columnsOf(table),
+          watchRead: (context, read, details) => watchRead({ table, ...context }, read, details)
+        });
+      },
+
+      select: async (table, options = {}) => {
+        validateTable(table);
+        const context = { table, method: 'select', conditions: options.where || {} };
+        return await watchRead(context, async ({ conditions }) => await selectRows(table, conditions, options));
+      },
+
+      selectWhere: async (table, conditions = {}, options = {}) => {
+        validateTable(table);
+        return await watchRead({ table, method: 'selectWhere', conditions }, async (context) => {
+          const { whereClause, whereValues } = await scopedWhere(table, context.conditions);
+          const limit = options.limit ? `LIMIT ${toLimit(options.limit)}` : '';
+          const offset = options.offset ? `OFFSET ${toLimit(options.offset, 'offset')}` : '';
+          const sql = `SELECT * FROM \`${table}\`${whereClause ? ` ${whereClause}` : ''} ${limit} ${offset}`.trim();
+          const rows = await db.query(sql, whereValues, options.useCache);
+          return await withRelations(table, rows, options.with);
+        });
+      },
 
-      const finalRows = Array.from(pivotMap.values()).map(pivotRow => {
-        const rowResult = { ...pivotRow.keys };
-        for (const columnValue of columnValues) {
-          const cellState = pivotRow.cells.get(columnValue);
-          rowResult[columnValue] = cellState === undefined
-            ? defaultValue
-            : aggregator.finalize(cellState, defaultValue);
-        }
-        if (includeTotals) {
-          rowResult.total = aggregator.finalize(pivotRow.total, defaultValue);
-        }
-        return rowResult;
-      });
+      findOne: async (table, conditions = {}, options = {}) => {
+        const result = await db.selectWhere(table, conditions, { ...options, limit: 1 });
+        return result[0] || null;
+      },
 
-      let finalColumnTotals = null;
-      if (includeTotals) {
-        finalColumnTotals = {};
-        for (const columnValue of columnValues) {
-          const state = columnTotals.get(columnValue);
-          finalColumnTotals[columnValue] = state === undefined
-            ? defaultValue
-            : aggregator.finalize(state, defaultValue);
+      findOrCreate: async (table, conditions = {}, defaults = {}) => {
+        const existing = await db.findOne(table, conditions);
+        if (existing) {
+          return { record: existing, created: false };
         }
-      }
-
-      return {
-        rows: finalRows,
-        columns: columnValues,
-        columnTotals: includeTotals ? finalColumnTotals : null,
-        grandTotal: includeTotals ? aggregator.finalize(grandTotal, defaultValue) : null,
-        aggregate: upperAggregate
-      };
-    },
-
-    chunk: async (table, chunkSize = 100, callback, where = {}) => {
-      validateTable(table);
-      let offset = 0;
-      let hasMore = true;
       
-      while (hasMore) {
-        const results = await db.selectWhere(table, where, { limit: chunkSize, offset });
-        
-        if (results.length === 0) {
-          hasMore = false;
-          break;
-        }
-        
-        await callback(results, offset / chunkSize);
-        
-        if (results.length < chunkSize) {
-          hasMore = false;
-        } else {
-          offset += chunkSize;
-        }
-      }
-    },
-
-    advancedSearch: async (table, criteria = {}, options = {}) => {
-      validateTable(table);
-      const { 
-        limit = 100, 
-        offset = 0, 
-        orderBy = [] 
-      } = options;
-
-      const conditions = [];
-      const values = [];
+        const data = { ...conditions, ...defaults };
+        const id = await db.insert(table, data);
+        const record = await db.primary().findOne(table, { [primaryKeyOf(table)]: id });
+        return { record, created: true };
+      },
+
+      findOneAndUpdate: async (table, conditions = {}, data = {}) => {
+        const existing = await db.findOne(table, conditions);
+        if (!existing) return null;
+      
+        return await db.updateByIdAndReturn(table, existing[primaryKeyOf(table)], data);
+      },
+
+      findOneAndDelete: async (table, conditions = {}, soft = false) => {
+        const existing = await db.findOne(table, conditions);
+        if (!existing) return null;
+      
+        await db.deleteById(table, existing[primaryKeyOf(table)], soft);
+        return existing;
+      },
+
+      paginate: async (table, options = {}) => {
+        const {
+          page = 1,
+          perPage = 20,
+          where = {},
+          orderBy = [],
+          columns = ['*'],
+          with: relations = []
+        } = options;
+
+        validateTable(table);
+        const offset = (page - 1) * perPage;
+
+        // One read, so the total counts the rows the page is taken from
+        return await watchRead({ table, method: 'paginate', conditions: where }, async ({ conditions }) => {
+          const total = await countRows(table, conditions);
+          const data = await selectRows(table, conditions, {
+            columns,
+            orderBy,
+            limit: perPage,
+            offset,
+            with: relations
+          });
 
-      Object.entries(criteria).forEach(([field, condition]) => {
-        if (typeof condition === 'object' && condition !== null) {
-          const { operator = '=', value } = condition;
-          
-          switch (operator.toUpperCase()) {
-            case 'LIKE':
-              conditions.push(`\`${field}\` LIKE ?`);
-              values.push(`%${value}%`);
-              break;
-            case 'IN':
-              const placeholders = Array.isArray(value) 
-                ? value.map(() => '?').join(', ')
-                : '?';
-              conditions.push(`\`${field}\` IN (${placeholders})`);
-              values.push(...(Array.isArray(value) ? value : [value]));
-              break;
-            case 'BETWEEN':
-              conditions.push(`\`${field}\` BETWEEN ? AND ?`);
-              values.push(value.min, value.max);
-              break;
-            case 'IS NULL':
-              conditions.push(`\`${field}\` IS NULL`);
-              break;
-            case 'IS NOT NULL':
-              conditions.push(`\`${field}\` IS NOT NULL`);
-              break;
-            default:
-              conditions.push(`\`${field}\` ${operator} ?`);
-              values.push(value);
+          return {
+            data,
+            pagination: {
+              total,
+              page,
+              perPage,
+              totalPages: Math.ceil(total / perPage),
+              hasNext: page < Math.ceil(total / perPage),
+              hasPrev: page > 1
+            }
+          };
+        }, ({ data }) => ({ rows: data }));
+      },
+
+      cursorPaginate: async (table, options = {}) => {
+        validateTable(table);
+        const {
+          cursor = null,
+          limit = 20,
+          cursorColumn = 'id',
+          direction = 'ASC',
+          where = {},
+          columns = ['*']
+        } = options;
+
+        return await watchRead({ table, method: 'cursorPaginate', conditions: where }, async ({ conditions }) => {
+          const cols = await columnsOf(table);
+          const order = normalizeDirection(direction);
+          const pageSize = toLimit(limit);
+          const { sql: whereSql, params: whereValues } = compileWith(cols, conditions);
+          // The next cursor is read from the last row, so it needs the cursor column
+          const selected = columns.includes('*') || columns.includes(cursorColumn) ? columns : [...columns, cursorColumn];
+
+          let sql = `SELECT ${cols.select(selected)} FROM \`${table}\``;
+          let params = [];
+
+          const filters = [];
+          if (whereSql) {
+            filters.push(whereSql);
+            params.push(...whereValues);
           }
-        } else {
-          conditions.push(`\`${field}\` = ?`);
-          values.push(condition);
-        }
-      });
-
-      const whereClause = conditions.length > 0 
-        ? `WHERE ${conditions.join(' AND ')}`
-        : '';
-      
-      const orderClause = orderBy.length > 0
-        ? `ORDER BY ${orderBy.map(o => `\`${o.column}\` ${o.direction || 'ASC'}`).join(', ')}`
-        : '';
-
-      const sql = `
-        SELECT * FROM \`${table}\`
-        ${whereClause}
-        ${orderClause}
-        LIMIT ${limit} OFFSET ${offset}
-      `.trim();
-
-      return await db.query(sql, values);
-    },
-
-    search: async (table, fields = [], keyword = '') => {
-      validateTable(table);
-      if (!keyword || !Array.isArray(fields) || fields.length === 0) return [];
-      const likeClause = fields.map(f => `\`${f}\` LIKE ?`).join(' OR ');
-      const values = fields.map(() => `%${keyword}%`);
-      const sql = `SELECT * FROM \`${table}\` WHERE ${likeClause}`;
-      return await db.query(sql, values);
-    },
-
-    fullTextSearch: async (table, columns = [], searchTerm = '', options = {}) => {
-      validateTable(table);
-      const { 
-        mode = 'NATURAL LANGUAGE',
-        limit = 100,
-        minScore = 0
-      } = options;
-
-      const columnsStr = columns.map(c => `\`${c}\``).join(', ');
-      const sql = `
-        SELECT *, MATCH(${columnsStr}) AGAINST(? IN ${mode} MODE) as relevance
-        FROM \`${table}\`
-        WHERE MATCH(${columnsStr}) AGAINST(? IN ${mode} MODE)
-        ${minScore > 0 ? `AND MATCH(${columnsStr}) AGAINST(? IN ${mode} MODE) > ${minScore}` : ''}
-        ORDER BY relevance DESC
-        LIMIT ${limit}
-      `;
-      
-      const params = minScore > 0 
-        ? [searchTerm, searchTerm, searchTerm]
-        : [searchTerm, searchTerm];
-      
-      return await db.query(sql, params);
-    },
 
-    clone: async (table, id, overrides = {}, idField = 'id') => {
-      const original = await db.findOne(table, { [idField]: id });
-      if (!original) throw new Error('Record not found');
-      
-      const { [idField]: _, created_at, updated_at, ...data } = original;
-      const newData = { ...data, ...overrides };
-      
-      return await db.insertAndReturn(table, newData, idField);
-    },
-
-    isDuplicate: async (table, fields = {}, excludeId = null, idField = 'id') => {
-      validateTable(table);
-      const keys = Object.keys(fields);
-      const values = Object.values(fields);
-      
-      let conditions = keys.map(k => `\`${k}\` = ?`);
-      let params = [...values];
-      
-      if (excludeId) {
-        conditions.push(`\`${idField}\` != ?`);
-        params.push(excludeId);
-      }
-      
-      const sql = `SELECT COUNT(*) as count FROM \`${table}\` WHERE ${conditions.join(' AND ')}`;
-      const result = await db.getOne(sql, params);
-      return result.count > 0;
-    },
-
-    withTrashed: async (table, conditions = {}, options = {}) => {
-      return await db.selectWhere(table, conditions, options);
-    },
-
-    onlyTrashed: async (table, conditions = {}, options = {}) => {
-      validateTable(table);
-      const keys = Object.keys(conditions);
-      const values = Object.values(conditions);
-      
-      const whereClauses = keys.map(k => `\`${k}\` = ?`);
-      whereClauses.push('deleted_at IS NOT NULL');
-      
-      const limit = options.limit ? `LIMIT ${options.limit}` : '';
-      const offset = options.offset ? `OFFSET ${options.offset}` : '';
-      const sql = `SELECT * FROM \`${table}\` WHERE ${whereClauses.join(' AND ')} ${limit} ${offset}`.trim();
-      
-      return await db.query(sql, values);
-    },
-
-    jsonExtract: async (table, jsonColumn, path, where = {}) => {
-      validateTable(table);
-      const whereKeys = Object.keys(where);
-      const whereValues = Object.values(where);
-      
-      let sql = `SELECT id, JSON_EXTRACT(\`${jsonColumn}\`, '${path}') as extracted_value FROM \`${table}\``;
-      
-      if (whereKeys.length > 0) {
-        const whereClause = whereKeys.map(k => `\`${k}\` = ?`).join(' AND ');
-        sql += ` WHERE ${whereClause}`;
-      }
-      
-      return await db.query(sql, whereValues);
-    },
-
-    jsonContains: async (table, jsonColumn, value, where = {}) => {
-      validateTable(table);
-      const whereKeys = Object.keys(where);
-      const whereValues = Object.values(where);
-      const jsonValue = JSON.stringify(value);
-      
-      let sql = `SELECT * FROM \`${table}\` WHERE JSON_CONTAINS(\`${jsonColumn}\`, ?)`;
-      let params = [jsonValue];
-      
-      if (whereKeys.length > 0) {
-        const whereClause = whereKeys.map(k => `\`${k}\` = ?`).join(' AND ');
-        sql += ` AND ${whereClause}`;
-        params.push(...whereValues);
-      }
-      
-      return await db.query(sql, params);
-    },
-
-    whereDateBetween: async (table, dateColumn, startDate, endDate, options = {}) => {
-      validateTable(table);
-      const sql = `SELECT * FROM \`${table}\` WHERE \`${dateColumn}\` BETWEEN ? AND ?`;
-      return await db.query(sql, [startDate, endDate]);
-    },
-
-    whereDate: async (table, dateColumn, date, operator = '=') => {
-      validateTable(table);
-      const sql = `SELECT * FROM \`${table}\` WHERE DATE(\`${dateColumn}\`) ${operator} ?`;
-      return await db.query(sql, [date]);
-    },
-
-    whereYear: async (table, dateColumn, year) => {
-      validateTable(table);
-      const sql = `SELECT * FROM \`${table}\` WHERE YEAR(\`${dateColumn}\`) = ?`;
-      return await db.query(sql, [year]);
-    },
+          const trashed = trashedFilter(table);
+          if (trashed) filters.push(trashed);
 
-    whereMonth: async (table, dateColumn, month) => {
-      validateTable(table);
-      const sql = `SELECT * FROM \`${table}\` WHERE MONTH(\`${dateColumn}\`) = ?`;
-      return await db.query(sql, [month]);
-    },
-
-    whereDay: async (table, dateColumn, day) => {
-      validateTable(table);
-      const sql = `SELECT * FROM \`${table}\` WHERE DAY(\`${dateColumn}\`) = ?`;
-      return await db.query(sql, [day]);
-    },
-
-    createdToday: async (table, dateColumn = 'created_at') => {
-      validateTable(table);
-      const sql = `SELECT * FROM \`${table}\` WHERE DATE(\`${dateColumn}\`) = CURDATE()`;
-      return await db.query(sql);
-    },
-
-    createdThisWeek: async (table, dateColumn = 'created_at') => {
-      validateTable(table);
-      const sql = `SELECT * FROM \`${table}\` WHERE YEARWEEK(\`${dateColumn}\`, 1) = YEARWEEK(CURDATE(), 1)`;
-      return await db.query(sql);
-    },
-
-    createdThisMonth: async (table, dateColumn = 'created_at') => {
-      validateTable(table);
-      const sql = `SELECT * FROM \`${table}\` WHERE YEAR(\`${dateColumn}\`) = YEAR(CURDATE()) AND MONTH(\`${dateColumn}\`) = MONTH(CURDATE())`;
-      return await db.query(sql);
-    },
-
-    createdThisYear: async (table, dateColumn = 'created_at') => {
-      validateTable(table);
-      const sql = `SELECT * FROM \`${table}\` WHERE YEAR(\`${dateColumn}\`) = YEAR(CURDATE())`;
-      return await db.query(sql);
-    },
-
-    median: async (table, column, where = {}) => {
-    validateTable(table);
-    const whereKeys = Object.keys(where);
-    const whereValues = Object.values(where);
-
-    const whereClause = whereKeys.length > 0
-      ? `WHERE ${whereKeys.map(k => `\`${k}\` = ?`).join(' AND ')}`
-      : '';
-
-    // MySQL 8.0+ compatible median calculation
-    let sql = `
-      WITH ordered_data AS (
-        SELECT \`${column}\`,
-          ROW_NUMBER() OVER (ORDER BY \`${column}\`) AS row_num,
-          COUNT(*) OVER () AS total_rows
-        FROM \`${table}\`
-        ${whereClause}
-      )
-      SELECT AVG(\`${column}\`) as median_value
-      FROM ordered_data
-      WHERE row_num IN (FLOOR((total_rows + 1) / 2), CEIL((total_rows + 1) / 2))
-    `;
-
-    const result = await db.getOne(sql, whereValues);
-    return result ? Number(result.median_value) : 0;
-  },
-
-    percentile: async (table, column, percentile = 50, where = {}) => {
-      validateTable(table);
-      const whereKeys = Object.keys(where);
-      const whereValues = Object.values(where);
-      
-      const totalResult = await db.count(table, where);
-      const position = Math.ceil((percentile / 100) * totalResult);
-      
-      let sql = `
-        SELECT \`${column}\` FROM \`${table}\`
-        ${whereKeys.length > 0 ? `WHERE ${whereKeys.map(k => `\`${k}\` = ?`).join(' AND ')}` : ''}
-        ORDER BY \`${column}\`
-        LIMIT 1 OFFSET ${position - 1}
-      `;
-      
-      const result = await db.getOne(sql, whereValues);
-      return result?.[column] || null;
-    },
-
-    groupConcat: async (table, column, groupBy, where = {}, separator = ',') => {
-      validateTable(table);
-      const whereKeys = Object.keys(where);
-      const whereValues = Object.values(where);
-      
-      let sql = `
-        SELECT \`${groupBy}\`, GROUP_CONCAT(\`${column}\` SEPARATOR '${separator}') as concatenated
-        FROM \`${table}\`
-        ${whereKeys.length > 0 ? `WHERE ${whereKeys.map(k => `\`${k}\` = ?`).join(' AND ')}` : ''}
-        GROUP BY \`${groupBy}\`
-      `;
-      
-      return await db.query(sql, whereValues);
-    },
-
-    logAudit: async (action, table, data, userId = null) => {
-      if (!allowedTables.includes('audit_logs')) return;
-      const auditEntry = {
-        action,
-        table_name: table,
-        data: JSON.stringify(data),
-        user_id: userId,
-        timestamp: new Date(),
-      };
-      try {
-        await db.insert('audit_logs', auditEntry);
-      } catch (err) {
-        console.warn('Audit logging failed', err);
-      }
-    },
-
-    transaction: async (callback) => {
-      const connection = await pool.getConnection();
-      try {
-        await connection.beginTransaction();
-        const result = await callback(connection);
-        await connection.commit();
-        return result;
-      } catch (err) {
-        await connection.rollback();
-        console.error('Transaction Error:', err);
-        throw err;
-      } finally {
-        connection.release();
-      }
-    },
-
-    join: async ({ baseTable, joinTable, baseKey, joinKey, conditions = {}, columns = ['*'], joinType = 'INNER' }) => {
-      validateTable(baseTable);
-      validateTable(joinTable);
-      const selectClause = columns.join(', ');
-      const keys = Object.keys(conditions);
-      const values = Object.values(conditions);
-      const whereClause = keys.map(k => `\`${baseTable}\`.\`${k}\` = ?`).join(' AND ');
-      const sql = `
-        SELECT ${selectClause}
-        FROM \`${baseTable}\`
-        ${joinType} JOIN \`${joinTable}\` ON \`${baseTable}\`.\`${baseKey}\` = \`${joinTable}\`.\`${joinKey}\`
-        ${keys.length ? `WHERE ${whereClause}` : ''}
-      `.trim();
-      return await db.query(sql, values);
-    },
-
-    multiJoin: async ({ baseTable, baseAlias = baseTable, joins = [], conditions = {}, columns = ['*'] }) => {
-      validateTable(baseTable);
-      joins.forEach(j => validateTable(j.table));
-      const keys = Object.keys(conditions);
-      const values = Object.values(conditions);
-      const whereClause = keys.length
-        ? `WHERE ${keys.map(k => `\`${baseAlias}\`.\`${k}\` = ?`).join(' AND ')}`
-        : '';
-
-      const joinClauses = joins.map(join => {
-        const { table, alias = table, type = 'INNER', baseColumn, joinColumn } = join;
-        const joinType = type.toUpperCase();
-        if (!['INNER', 'LEFT', 'RIGHT', 'FULL'].includes(joinType)) {
-          throw new Error(`Unsupported join type: ${joinType}`);
-        }
-        if (joinType === 'FULL') return null;
-        return `${joinType} JOIN \`${table}\` AS \`${alias}\` ON \`${baseAlias}\`.\`${baseColumn}\` = \`${alias}\`.\`${joinColumn}\``;
-      }).filter(Boolean).join('\n');
-
-      const fullJoins = joins.filter(j => j.type?.toUpperCase() === 'FULL');
-      if (fullJoins.length) {
-        const [fullJoin] = fullJoins;
-        const { table, alias = table, baseColumn, joinColumn } = fullJoin;
-        const leftJoinQuery = `
-          SELECT ${columns.join(', ')}
-          FROM \`${baseTable}\` AS \`${baseAlias}\`
-          LEFT JOIN \`${table}\` AS \`${alias}\` ON \`${baseAlias}\`.\`${baseColumn}\` = \`${alias}\`.\`${joinColumn}\`
-          ${whereClause}
-        `;
-        const rightJoinQuery = `
-          SELECT ${columns.join(', ')}
-          FROM \`${table}\` AS \`${alias}\`
-          LEFT JOIN \`${baseTable}\` AS \`${baseAlias}\` ON \`${alias}\`.\`${joinColumn}\` = \`${baseAlias}\`.\`${baseColumn}\`
-          ${whereClause}
-        `;
-        const sql = `(${leftJoinQuery}) UNION (${rightJoinQuery})`;
-        return await db.query(sql, [...values, ...values]);
-      }
-
-      const sql = `
-        SELECT ${columns.join(', ')}
-        FROM \`${baseTable}\` AS \`${baseAlias}\`
-        ${joinClauses}
-        ${whereClause}
-      `.trim();
-      return await db.query(sql, values);
-    },
+          if (cursor) {
+            const operator = order === 'ASC' ? '>' : '<';
+            filters.push(`${cols.column(cursorColumn)} ${operator} ?`);
+            params.push(cursor);
+          }
 
-    hasOne: async (parentTable, childTable, parentId, foreignKey = 'parent_id', columns = ['*']) => {
-      validateTable(parentTable);
-      validateTable(childTable);
-      const sql = `SELECT ${columns.join(', ')} FROM \`${childTable}\` WHERE \`${foreignKey}\` = ? LIMIT 1`;
-      return await db.getOne(sql, [parentId]);
-    },
+          if (filters.length > 0) {
+            sql += ` WHERE ${filters.join(' AND ')}`;
+          }
 
-    hasMany: async (parentTable, childTable, parentId, foreignKey = 'parent_id', columns = ['*']) => {
-      validateTable(parentTable);
-      validateTable(childTable);
-      const sql = `SELECT ${columns.join(', ')} FROM \`${childTable}\` WHERE \`${foreignKey}\` = ?`;
-      return await db.query(sql, [parentId]);
-    },
+          sql += ` ORDER BY ${cols.column(cursorColumn)} ${order} LIMIT ${pageSize + 1}`;
 
-    belongsTo: async (childTable, parentTable, foreignKeyValue, foreignKey = 'parent_id', columns = ['*']) => {
-      validateTable(childTable);
-      validateTable(parentTable);
-      const sql = `SELECT ${columns.join(', ')} FROM \`${parentTable}\` WHERE id = ?`;
-      return await db.getOne(sql, [foreignKeyValue]);
-    },
+          const results = await db.query(sql, params);
+          const hasMore = results.length > pageSize;
+          const data = hasMore ? results.slice(0, pageSize) : results;
+          const nextCursor = hasMore && data.length > 0 ? data[data.length - 1][cursorColumn] : null;
 
-    belongsToMany: async (table1, table2, pivotTable, id, columns = ['*']) => {
-      validateTable(table1);
-      validateTable(table2);
-      validateTable(pivotTable);
-      
-      const sql = `
-        SELECT ${columns.map(c => `\`${table2}\`.\`${c}\``).join(', ')}
-        FROM \`${table2}\`
-        INNER JOIN \`${pivotTable}\` ON \`${table2}\`.id = \`${pivotTable}\`.\`${table2}_id\`
-        WHERE \`${pivotTable}\`.\`${table1}_id\` = ?
-      `;
-      return await db.query(sql, [id]);
-    },
+          return {
+            data,
+            nextCursor,
+            hasMore
+          };
+        }, ({ data }) => ({ rows: data }));
+      },
 
-    whereIn: async (table, column, values = []) => {
-      validateTable(table);
-      if (!Array.isArray(values) || values.length === 0) return [];
-      const placeholders = values.map(() => '?').join(', ');
-      const sql = `SELECT * FROM \`${table}\` WHERE \`${column}\` IN (${placeholders})`;
-      return await db.query(sql, values);
-    },
+      count: async (table, conditions = {}) => {
+        validateTable(table);
+        return await watchRead({ table, method: 'count', conditions }, async (context) =>
+          await countRows(table, context.conditions), (count) => ({ count }));
+      },
 
-    whereNotIn: async (table, column, values = []) => {
-      validateTable(table);
-      if (!Array.isArray(values) || values.length === 0) return [];
-      const placeholders = values.map(() => '?').join(', ');
-      const sql = `SELECT * FROM \`${table}\` WHERE \`${column}\` NOT IN (${placeholders})`;
-      return await db.query(sql, values);
-    },
+      countBy: async (table, column, where = {}) => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        return await watchRead({ table, method: 'countBy', conditions: where }, async ({ conditions }) => {
+          const { whereClause, whereValues } = await scopedWhere(table, conditions);
 
-    whereBetween: async (table, column, min, max) => {
-      validateTable(table);
-      const sql = `SELECT * FROM \`${table}\` WHERE \`${column}\` BETWEEN ? AND ?`;
-      return await db.query(sql, [min, max]);
-    },
+          let sql = `SELECT ${cols.column(column)}, COUNT(*) as count FROM \`${table}\``;
 
-    whereNotBetween: async (table, column, min, max) => {
-      validateTable(table);
-      const sql = `SELECT * FROM \`${table}\` WHERE \`${column}\` NOT BETWEEN ? AND ?`;
-      return await db.query(sql, [min, max]);
-    },
+          if (whereClause) {
+            sql += ` ${whereClause}`;
+          }
 
-    whereNull: async (table, column) => {
-      validateTable(table);
-      const sql = `SELECT * FROM \`${table}\` WHERE \`${column}\` IS NULL`;
-      return await db.query(sql);
-    },
+          sql += ` GROUP BY ${cols.column(column)}`;
 
-    whereNotNull: async (table, column) => {
-      validateTable(table);
-      const sql = `SELECT * FROM \`${table}\` WHERE \`${column}\` IS NOT NULL`;
-      return await db.query(sql);
-    },
+          return await db.query(sql, whereValues);
+        });
+      },
+
+      exists: async (table, conditions = {}) => {
+        const result = await db.findOne(table, conditions);
+        return !!result;
+      },
+
+      getByIds: async (table, ids = [], idField = primaryKeyOf(table)) => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        if (!Array.isArray(ids) || ids.length === 0) return [];
+        return await watchRead({ table, method: 'getByIds', ids, idField, conditions: {} }, async ({ conditions }) => {
+          const filter = { sql: `${cols.column(idField)} IN (${ids.map(() => '?').join(', ')})`, params: ids };
+          const { whereClause, whereValues } = await scopedWhere(table, conditions, { filter });
+          return await db.query(`SELECT * FROM \`${table}\` ${whereClause}`, whereValues);
+        });
+      },
+
+      first: async (table, orderBy = 'id', direction = 'ASC') => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        const rows = await watchRead({ table, method: 'first', conditions: {} }, async ({ conditions }) => {
+          const { whereClause, whereValues } = await scopedWhere(table, conditions);
+          const sql = `SELECT * FROM \`${table}\` ${whereClause} ORDER BY ${cols.column(orderBy)} ${normalizeDirection(direction)} LIMIT 1`;
+          return await db.query(sql, whereValues);
+        });
+        return rows[0] || null;
+      },
+
+      last: async (table, orderBy = 'id', direction = 'DESC') => {
+        return await db.first(table, orderBy, direction);
+      },
+
+      random: async (table, count = 1) => {
+        validateTable(table);
+        const results = await watchRead({ table, method: 'random', conditions: {} }, async ({ conditions }) => {
+          const { whereClause, whereValues } = await scopedWhere(table, conditions);
+          const sql = `SELECT * FROM \`${table}\` ${whereClause} ORDER BY RAND() LIMIT ${toLimit(count, 'count')}`;
+          return await db.query(sql, whereValues);
+        });
+        return count === 1 ? (results[0] || null) : results;
+      },
 
-    whereGreaterThan: async (table, column, value) => {
-      validateTable(table);
-      const sql = `SELECT * FROM \`${table}\` WHERE \`${column}\` > ?`;
-      return await db.query(sql, [value]);
-    },
+      batchUpdate: async (table, updates = [], idField = primaryKeyOf(table)) => {
+        validateTable(table);
+        if (!Array.isArray(updates) || updates.length === 0) return 0;
+      
+        return await db.transaction(async (tx) => {
+          for (const update of updates) {
+            const { id, ...data } = update;
+            await tx.updateById(table, id, data, idField);
+          }
+        
+          return updates.length;
+        });
+      },
+
+      batchDelete: async (table, ids = [], soft = false, idField = primaryKeyOf(table)) => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        if (!Array.isArray(ids) || ids.length === 0) return 0;
+        const context = await beforeHook('delete', { table, method: 'batchDelete', ids, idField, soft });
+
+        return await watchWrite('delete', context, async () => {
+          const placeholders = ids.map(() => '?').join(', ');
+          const sql = soft
+            ? `UPDATE \`${table}\` SET ${quoteIdentifier(softDeleteColumn)} = NOW() WHERE ${cols.column(idField)} IN (${placeholders})`
+            : `DELETE FROM \`${table}\` WHERE ${cols.column(idField)} IN (${placeholders})`;
+
+          const [result] = await execute(sql, ids);
+          await invalidateTable(table);
+          return { result: result.affectedRows };
+        });
+      },
 
-    whereLessThan: async (table, column, value) => {
-      validateTable(table);
-      const sql = `SELECT * FROM \`${table}\` WHERE \`${column}\` < ?`;
-      return await db.query(sql, [value]);
-    },
+      truncate: async (table) => {
+        validateTable(table);
+        await db.query('SET FOREIGN_KEY_CHECKS = 0');
+        await db.query(`TRUNCATE TABLE \`${table}\``);
+        await db.query('SET FOREIGN_KEY_CHECKS = 1');
+        await invalidateTable(table);
+        return true;
+      },
 
-    whereStartsWith: async (table, column, value) => {
-      validateTable(table);
-      const sql = `SELECT * FROM \`${table}\` WHERE \`${column}\` LIKE ?`;
-      return await db.query(sql, [`${value}%`]);
-    },
 
-    whereEndsWith: async (table, column, value) => {
-      validateTable(table);
-      const sql = `SELECT * FROM \`${table}\` WHERE \`${column}\` LIKE ?`;
-      return await db.query(sql, [`%${value}`]);
-    },
+      increment: async (table, id, field, amount = 1, idField = primaryKeyOf(table)) => {
+        if (typeof amount !== 'number' || isNaN(amount)) {
+          throw new ValidationError('Amount must be a valid number');
+        }
+        const result = await adjustColumns('increment', table, id, { [field]: amount }, 1, idField);
+        return result.affectedRows;
+      },
 
-    whereContains: async (table, column, value) => {
-      validateTable(table);
-      const sql = `SELECT * FROM \`${table}\` WHERE \`${column}\` LIKE ?`;
-      return await db.query(sql, [`%${value}%`]);
-    },
+      decrement: async (table, id, field, amount = 1, idField = primaryKeyOf(table)) => {
+        if (typeof amount !== 'number' || isNaN(amount)) {
+          throw new ValidationError('Amount must be a valid number');
+        }
+        const result = await adjustColumns('decrement', table, id, { [field]: amount }, -1, idField);
+        return result.affectedRows;
+      },
+
+      incrementMany: async (table, id, fields = {}, idField = primaryKeyOf(table)) =>
+        await adjustColumns('incrementMany', table, id, fields, 1, idField),
+
+      decrementMany: async (table, id, fields = {}, idField = primaryKeyOf(table)) =>
+        await adjustColumns('decrementMany', table, id, fields, -1, idField),
+
+      aggregate: async (table, options = {}) => {
+        validateTable(table);
+        const {
+          functions = [],
+          groupBy = [],
+          where = {},
+          having = null
+        } = options;
+
+        const cols = await columnsOf(table);
+        const funcClauses = functions.map(f => {
+        const func = String(f.func).toUpperCase();
+        if (!AGGREGATE_FUNCTIONS.includes(func)) {
+          throw new ValidationError(`Unsupported aggregate function: ${f.func}`);
+        }
+        const alias = f.alias || (f.column === '*' ? func.toLowerCase() : f.column);
+        return `${func}(${cols.column(f.column)}) as ${quoteIdentifier(alias)}`;
+      }).join(', ');
 
-    whereLike: async (table, column, value, caseSensitive = false) => {
-      validateTable(table);
-      const operator = caseSensitive ? 'LIKE BINARY' : 'LIKE';
-      const sql = `SELECT * FROM \`${table}\` WHERE \`${column}\` ${operator} ?`;
-      return await db.query(sql, [`%${value}%`]);
-    },
+        const groupClause = groupBy.length > 0 
+          ? `GROUP BY ${cols.groupBy(groupBy)}`
+          : '';
+      
+        const havingRaw = rawClause(having, 'having');
+        const havingClause = havingRaw.sql ? `HAVING ${havingRaw.sql}` : '';
 
-    addHook: (type, operation, callback) => {
-      if (!['before', 'after'].includes(type)) {
-        throw new Error('Hook type must be "before" or "after"');
-      }
-      if (!hooks[type]) hooks[type] = {};
-      hooks[type][operation] = callback;
-    },
+        return await watchRead({ table, method: 'aggregate', conditions: where }, async ({ conditions }) => {
+          const { whereClause, whereValues } = await scopedWhere(table, conditions);
+          const sql = `
+            SELECT ${groupBy.length > 0 ? `${cols.groupBy(groupBy)}, ` : ''}${funcClauses}
+            FROM \`${table}\`
+            ${whereClause}
+            ${groupClause}
+            ${havingClause}
+          `.trim();
 
-    removeHook: (type, operation) => {
-      if (hooks[type]?.[operation]) {
-        delete hooks[type][operation];
-      }
-    },
+          return await db.query(sql, [...whereValues, ...havingRaw.params]);
+        });
+      },
 
-    clearCache: (table = null) => {
-      if (table) {
-        clearCacheForTable(table);
-      } else {
-        queryCache.clear();
-      }
-    },
+      min: async (table, column, where = {}) => {
+        const result = await db.aggregate(table, {
+          functions: [{ func: 'MIN', column, alias: 'min_value' }],
+          where
+        });
+        return result[0]?.min_value || null;
+      },
 
-    getCacheStats: () => ({
-      size: queryCache.size,
-      enabled: enableQueryCache,
-      expiry: cacheExpiry
-    }),
+      max: async (table, column, where = {}) => {
+        const result = await db.aggregate(table, {
+          functions: [{ func: 'MAX', column, alias: 'max_value' }],
+          where
+        });
+        return result[0]?.max_value || null;
+      },
+
+      avg: async (table, column, where = {}) => {
+    const result = await db.aggregate(table, {
+      functions: [{ func: 'AVG', column, alias: 'avg_value' }],
+      where
+    });
+    return result.length ? Number(result[0].avg_value) : 0;
+  },
 
-    getTableSchema: async (table) => {
-      validateTable(table);
-      const sql = `DESCRIBE \`${table}\``;
-      return await db.query(sql);
-    },
+  sum: async (table, column, where = {}) => {
+    const result = await db.aggregate(table, {
+      functions: [{ func: 'SUM', column, alias: 'sum_value' }],
+      where
+    });
+    return result.length ? Number(result[0].sum_value) : 0;
+  },
 
-    getTableIndexes: async (table) => {
-      validateTable(table);
-      const sql = `SHOW INDEX FROM \`${table}\``;
-      return await db.query(sql);
-    },
 
-    getTableInfo: async (table) => {
-      validateTable(table);
-      const sql = `
-        SELECT 
-          table_name,
-          table_rows,
-          data_length,
-          index_length,
-          ROUND((data_length + index_length) / 1024 / 1024, 2) as size_mb
-        FROM information_schema.tables
-        WHERE table_schema = DATABASE()
-        AND table_name = ?
-      `;
-      return await db.getOne(sql, [table]);
-    },
+      distinctValues: async (table, column) => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        return await watchRead({ table, method: 'distinctValues', conditions: {} }, async ({ conditions }) => {
+          const { whereClause, whereValues } = await scopedWhere(table, conditions);
+          const sql = `SELECT DISTINCT ${cols.column(column)} FROM \`${table}\` ${whereClause}`.trim();
+          return await db.query(sql, whereValues);
+        });
+      },
 
-    listTables: async () => {
-      const sql = 'SHOW TABLES';
-      const results = await db.query(sql);
-      return results.map(row => Object.values(row)[0]);
-    },
+      pluck: async (table, column, where = {}) => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        const results = await watchRead({ table, method: 'pluck', conditions: where }, async ({ conditions }) => {
+          const { whereClause, whereValues } = await scopedWhere(table, conditions);
 
-    tableExists: async (table) => {
-      const sql = `
-        SELECT COUNT(*) as count
-        FROM information_schema.tables
-        WHERE table_schema = DATABASE()
-        AND table_name = ?
-      `;
-      const result = await db.getOne(sql, [table]);
-      return result.count > 0;
-    },
+          let sql = `SELECT ${cols.column(column)} FROM \`${table}\``;
 
-    optimizeTable: async (table) => {
-      validateTable(table);
-      const sql = `OPTIMIZE TABLE \`${table}\``;
-      return await db.query(sql);
-    },
+          if (whereClause) {
+            sql += ` ${whereClause}`;
+          }
 
-    analyzeTable: async (table) => {
-      validateTable(table);
-      const sql = `ANALYZE TABLE \`${table}\``;
-      return await db.query(sql);
-    },
+          return await db.query(sql, whereValues);
+        });
+        return results.map(row => row[column]);
+      },
 
-    raw: async (sql, params = []) => {
-      const dangerousKeywords = ['DROP', 'TRUNCATE', 'ALTER', 'CREATE'];
+      pivotTable: async (table, rowFields = [], columnField, valueField, options = {}) => {
+        validateTable(table);
 
-      for (const keyword of dangerousKeywords) {
-        // Check for keyword as a statement start to avoid false positives
-        const regex = new RegExp(`\\b${keyword}\\b`, 'i');
-        if (regex.test(sql)) {
-          throw new Error(`Dangerous SQL keyword detected: ${keyword}`);
+        if (!Array.isArray(rowFields) || rowFields.length === 0) {
+          throw new ValidationError('pivotTable requires at least one row field.');
+        }
+        if (!columnField || typeof columnField !== 'string') {
+          throw new ValidationError('pivotTable requires a columnField string.');
+        }
+        if (!valueField || typeof valueField !== 'string') {
+          throw new ValidationError('pivotTable requires a valueField string.');
         }
-      }
 
-      return await db.query(sql, params);
-    },
+        const {
+          aggregate = 'SUM',
+          filters = {},
+          includeTotals = true,
+          sortColumns = true,
+          defaultValue = 0
+        } = options;
 
-    rawUnsafe: async (sql, params = []) => {
-      return await db.query(sql, params);
-    },
+        const cols = await columnsOf(table);
 
-    healthCheck: async () => {
-      try {
-        await db.query('SELECT 1');
-        return { status: 'healthy', timestamp: new Date() };
-      } catch (err) {
-        return { status: 'unhealthy', error: err.message, timestamp: new Date() };
-      }
-    },
+        // Checked against the table's columns; rows are read back by the bare name
+        const sanitizeField = (field) => {
+          if (typeof field !== 'string' || !field.trim()) {
+            throw new ValidationError(`Invalid column name: ${field}`);
+          }
+          cols.column(field);
+          return field.trim();
+        };
 
-    getDatabaseStats: async () => {
-      const sql = `
-        SELECT 
-          COUNT(*) as table_count,
-          SUM(table_rows) as total_rows,
-          ROUND(SUM(data_length + index_length) / 1024 / 1024, 2) as total_size_mb
-        FROM information_schema.tables
-        WHERE table_schema = DATABASE()
-      `;
-      return await db.getOne(sql);
-    },
+        const normalizedRowFields = rowFields.map(sanitizeField);
+        const normalizedColumnField = sanitizeField(columnField);
+        const normalizedValueField = sanitizeField(valueField);
 
-    getPoolInfo: () => {
-  const stats = pool.pool ?? pool;
-  return {
-    totalConnections: stats._allConnections?.length ?? 0,
-    activeConnections: (stats._allConnections?.length ?? 0) - (stats._freeConnections?.length ?? 0),
-    freeConnections: stats._freeConnections?.length ?? 0,
-    queueLength: stats._connectionQueue?.length ?? 0
-  };
-},
+        const upperAggregate = aggregate.toUpperCase();
+        if (!AGGREGATE_FUNCTIONS.includes(upperAggregate)) {
+          throw new ValidationError(`Unsupported aggregate function: ${aggregate}`);
+        }
 
-    // ========================================
-    // CREATIVE FUNCTIONS (Not in mysql2)
-    // ========================================
+        const selectColumns = [...normalizedRowFields, normalizedColumnField, normalizedValueField]
+          .map(field => cols.column(field)).join(', ');
 
-    /**
-     * Smart Diff - Compare two records and return only the changed fields
-     */
-    diff: async (table, id1, id2, idField = 'id') => {
-      validateTable(table);
-      const [record1, record2] = await Promise.all([
-        db.findOne(table, { [idField]: id1 }),
-        db.findOne(table, { [idField]: id2 })
-      ]);
+        const dataRows = await readWhere(table, 'pivotTable', filters, async ({ whereClause, whereValues }) =>
+          await db.query(`SELECT ${selectColumns} FROM \`${table}\`${whereClause ? ` ${whereClause}` : ''}`, whereValues));
 
-      if (!record1 || !record2) {
-        throw new Error('One or both records not found');
-      }
+        const extractNumeric = (row) => {
+          const raw = row[normalizedValueField];
+          if (raw === null || raw === undefined) return null;
+          const num = Number(raw);
+          return Number.isNaN(num) ? null : num;
+        };
+
+        const aggregators = {
+          SUM: {
+            init: () => 0,
+            accumulate: (state, row) => {
+              const value = extractNumeric(row);
+              if (value === null) return state;
+              return state + value;
+            },
+            finalize: (state, fallback) => state ?? fallback
+          },
+          COUNT: {
+            init: () => 0,
+            accumulate: (state, row) => {
+              const raw = row[normalizedValueField];
+              return state + (raw === null || raw === undefined ? 0 : 1);
+            },
+            finalize: (state) => state
+          },
+          AVG: {
+            init: () => ({ sum: 0, count: 0 }),
+            accumulate: (state, row) => {
+              const value = extractNumeric(row);
+              if (value === null) return state;
+              return { sum: state.sum + value, count: state.count + 1 };
+            },
+            finalize: (state, fallback) => state.count === 0 ? fallback : state.sum / state.count
+          },
+          MIN: {
+            init: () => null,
+            accumulate: (state, row) => {
+              const value = extractNumeric(row);
+              if (value === null) return state;
+              if (state === null) return value;
+              return Math.min(state, value);
+            },
+            finalize: (state, fallback) => state === null ? fallback : state
+          },
+          MAX: {
+            init: () => null,
+            accumulate: (state, row) => {
+              const value = extractNumeric(row);
+              if (value === null) return state;
+              if (state === null) return value;
+              return Math.max(state, value);
+            },
+            finalize: (state, fallback) => state === null ? fallback : state
+          }
+        };
 
-      const differences = {};
-      const allKeys = new Set([...Object.keys(record1), ...Object.keys(record2)]);
+        const aggregator = aggregators[upperAggregate];
 
-      for (const key of allKeys) {
-        if (record1[key] !== record2[key]) {
-          differences[key] = {
-            from: record1[key],
-            to: record2[key]
+        if (dataRows.length === 0) {
+          return {
+            rows: [],
+            columns: [],
+            columnTotals: includeTotals ? {} : null,
+            grandTotal: includeTotals ? aggregator.finalize(aggregator.init(), defaultValue) : null,
+            aggregate: upperAggregate
           };
         }
-      }
 
-      return differences;
-    },
+        const pivotMap = new Map();
+        const columnValuesSet = new Set();
+        const columnTotals = new Map();
+        let grandTotal = aggregator.init();
+
+        for (const row of dataRows) {
+          const columnValue = row[normalizedColumnField];
+          columnValuesSet.add(columnValue);
+
+          const rowKeyValues = normalizedRowFields.map(field => row[field]);
+          const rowKey = JSON.stringify(rowKeyValues);
+
+          if (!pivotMap.has(rowKey)) {
+            const keyObj = {};
+            normalizedRowFields.forEach((field, index) => {
+              keyObj[field] = rowKeyValues[index];
+            });
+            pivotMap.set(rowKey, {
+              keys: keyObj,
+              cells: new Map(),
+              total: aggregator.init()
+            });
+          }
 
-    /**
-     * Bulk Conditional Update - Update multiple records with different conditions
-     */
-    bulkConditionalUpdate: async (table, updates = []) => {
-      validateTable(table);
-      if (!Array.isArray(updates) || updates.length === 0) return 0;
+          const pivotRow = pivotMap.get(rowKey);
+          const currentCell = pivotRow.cells.get(columnValue) ?? aggregator.init();
+          const updatedCell = aggregator.accumulate(currentCell, row);
+          pivotRow.cells.set(columnValue, updatedCell);
 
-      const connection = await pool.getConnection();
-      try {
-        await connection.beginTransaction();
-        let totalAffected = 0;
+          pivotRow.total = aggregator.accumulate(pivotRow.total, row);
 
-        for (const { where, data } of updates) {
-          const finalData = {
-            ...data,
-            ...(useTimestamps ? { updated_at: new Date() } : {})
-          };
+          const currentColumnTotal = columnTotals.get(columnValue) ?? aggregator.init();
+          columnTotals.set(columnValue, aggregator.accumulate(currentColumnTotal, row));
 
-          const dataKeys = Object.keys(finalData);
-          const dataValues = Object.values(finalData);
-          const whereKeys = Object.keys(where);
-          const whereValues = Object.values(where);
+          grandTotal = aggregator.accumulate(grandTotal, row);
+        }
+
+        const columnValues = Array.from(columnValuesSet);
+        if (sortColumns) {
+          columnValues.sort((a, b) => {
+            if (a === b) return 0;
+            if (a === null || a === undefined) return -1;
+            if (b === null || b === undefined) return 1;
+            return a > b ? 1 : -1;
+          });
+        }
 
-          const setClause = dataKeys.map(k => `\`${k}\` = ?`).join(', ');
-          const whereClause = whereKeys.map(k => `\`${k}\` = ?`).join(' AND ');
+        const finalRows = Array.from(pivotMap.values()).map(pivotRow => {
+          const rowResult = { ...pivotRow.keys };
+          for (const columnValue of columnValues) {
+            const cellState = pivotRow.cells.get(columnValue);
+            rowResult[columnValue] = cellState === undefined
+              ? defaultValue
+              : aggregator.finalize(cellState, defaultValue);
+          }
+          if (includeTotals) {
+            rowResult.total = aggregator.finalize(pivotRow.total, defaultValue);
+          }
+          return rowResult;
+        });
 
-          const sql = `UPDATE \`${table}\` SET ${setClause} WHERE ${whereClause}`;
-          const [result] = await connection.execute(sql, [...dataValues, ...whereValues]);
-          totalAffected += result.affectedRows;
+        let finalColumnTotals = null;
+        if (includeTotals) {
+          finalColumnTotals = {};
+          for (const columnValue of columnValues) {
+            const state = columnTotals.get(columnValue);
+            finalColumnTotals[columnValue] = state === undefined
+              ? defaultValue
+              : aggregator.finalize(state, defaultValue);
+          }
         }
 
-        await connection.commit();
-        clearCacheForTable(table);
-        return totalAffected;
-      } catch (err) {
-        await connection.rollback();
-        throw err;
-      } finally {
-        connection.release();
-      }
-    },
+        return {
+          rows: finalRows,
+          columns: columnValues,
+          columnTotals: includeTotals ? finalColumnTotals : null,
+          grandTotal: includeTotals ? aggregator.finalize(grandTotal, defaultValue) : null,
+          aggregate: upperAggregate
+        };
+      },
 
-    /**
-     * Time Travel Query - Query records as they were at a specific timestamp
-     */
-    timeTravel: async (table, timestamp, where = {}) => {
-      validateTable(table);
-      const whereKeys = Object.keys(where);
-      const whereValues = Object.values(where);
+      chunk: async (table, chunkSize = 100, callback, where = {}) => {
+        validateTable(table);
+        let offset = 0;
+        let hasMore = true;
+      
+        while (hasMore) {
+          const results = await db.selectWhere(table, where, { limit: chunkSize, offset });
+        
+          if (results.length === 0) {
+            hasMore = false;
+            break;
+          }
+        
+          await callback(results, offset / chunkSize);
+        
+          if (results.length < chunkSize) {
+            hasMore = false;
+          } else {
+            offset += chunkSize;
+          }
+        }
+      },
+
+      advancedSearch: async (table, criteria = {}, options = {}) => {
+        validateTable(table);
+        const { 
+          limit = 100, 
+          offset = 0, 
+          orderBy = [] 
+        } = options;
+
+        const comparisonOperators = { '=': '$eq', '!=': '$ne', '<>': '$ne', '>': '$gt', '>=': '$gte', '<': '$lt', '<=': '$lte' };
+        const conditions = {};
+
+        // Translate the legacy `{ operator, value }` form; everything else is
+        // already in conditions syntax
+        Object.entries(criteria).forEach(([field, condition]) => {
+          const isLegacy = typeof condition === 'object' && condition !== null &&
+            ('operator' in condition || 'value' in condition);
+          if (!isLegacy) {
+            conditions[field] = condition;
+            return;
+          }
 
-      const conditions = whereKeys.map(k => `\`${k}\` = ?`);
-      conditions.push('created_at <= ?');
-      conditions.push('(updated_at <= ? OR updated_at IS NULL)');
+          const { operator = '=', value } = condition;
+          const upperOperator = operator.toUpperCase();
 
-      const sql = `SELECT * FROM \`${table}\` WHERE ${conditions.join(' AND ')}`;
-      return await db.query(sql, [...whereValues, timestamp, timestamp]);
-    },
+          switch (upperOperator) {
+            case 'LIKE':
+              conditions[field] = { $like: `%${value}%` };
+              break;
+            case 'IN':
+              conditions[field] = { $in: Array.isArray(value) ? value : [value] };
+              break;
+            case 'BETWEEN':
+              conditions[field] = { $between: [value.min, value.max] };
+              break;
+            case 'IS NULL':
+              conditions[field] = null;
+              break;
+            case 'IS NOT NULL':
+              conditions[field] = { $ne: null };
+              break;
+            default:
+              if (!comparisonOperators[upperOperator]) {
+                throw new ValidationError(`Unsupported operator: ${operator}`);
+              }
+              conditions[field] = { [comparisonOperators[upperOperator]]: value };
+          }
+        });
 
-    /**
-     * Smart Merge - Merge data from multiple tables based on common keys
-     */
-    smartMerge: async (tables = [], commonKey = 'id', keyValue) => {
-      tables.forEach(t => validateTable(t));
-
-      const results = await Promise.all(
-        tables.map(table => db.findOne(table, { [commonKey]: keyValue }))
-      );
-
-      const merged = {};
-      results.forEach((record, index) => {
-        if (record) {
-          Object.assign(merged, {
-            ...record,
-            [`_source_${tables[index]}`]: true
-          });
+        const cols = await columnsOf(table);
+        const orderClause = orderBy.length > 0
+          ? `ORDER BY ${cols.orderBy(orderBy)}`
+          : '';
+
+        return await readWhere(table, 'advancedSearch', conditions, async ({ whereClause, whereValues }) => {
+          const sql = `
+            SELECT * FROM \`${table}\`
+            ${whereClause}
+            ${orderClause}
+            LIMIT ${toLimit(limit)} OFFSET ${toLimit(offset, 'offset')}
+          `.trim();
+          return await db.query(sql, whereValues);
+        });
+      },
+
+      search: async (table, fields = [], keyword = '') => {
+        validateTable(table);
+        if (!keyword || !Array.isArray(fields) || fields.length === 0) return [];
+        const cols = await columnsOf(table);
+        const likeClause = fields.map(f => `${cols.column(f)} LIKE ?`).join(' OR ');
+        const values = fields.map(() => `%${keyword}%`);
+        return await selectMatching(table, 'search', {}, { sql: `(${likeClause})`, params: values });
+      },
+
+      fullTextSearch: async (table, columns = [], searchTerm = '', options = {}) => {
+        validateTable(table);
+        const { 
+          mode = 'NATURAL LANGUAGE',
+          limit = 100,
+          minScore = 0
+        } = options;
+
+        const searchMode = String(mode).toUpperCase();
+        if (!FULLTEXT_MODES.includes(searchMode)) {
+          throw new ValidationError(`Unsupported full-text mode: ${mode}`);
+        }
+        const score = Number(minScore);
+        if (!Number.isFinite(score)) {
+          throw new ValidationError('minScore must be a number');
         }
-      });
-
-      return Object.keys(merged).length > 0 ? merged : null;
-    },
 
-    /**
-     * Fuzzy Search - Find records with approximate matching
-     */
-    fuzzySearch: async (table, field, searchTerm, maxScore = 3) => {
-      validateTable(table);
-      const sql = `
-        SELECT *,
-          CASE
-            WHEN \`${field}\` = ? THEN 0
-            WHEN \`${field}\` LIKE ? THEN 1
-            WHEN \`${field}\` LIKE ? THEN 2
-            ELSE 3
-          END as match_score
-        FROM \`${table}\`
-        WHERE \`${field}\` LIKE ?
-        HAVING match_score <= ?
-        ORDER BY match_score, \`${field}\`
-        LIMIT 50
-      `;
-
-      return await db.query(sql, [
-        searchTerm,
-        `${searchTerm}%`,
-        `%${searchTerm}%`,
-        `%${searchTerm}%`,
-        maxScore
-      ]);
-    },
+        const cols = await columnsOf(table);
+        const columnsStr = columns.map(cols.column).join(', ');
+        const match = `MATCH(${columnsStr}) AGAINST(? IN ${searchMode} MODE)`;
+        const filter = score > 0
+          ? { sql: `${match} AND ${match} > ?`, params: [searchTerm, searchTerm, score] }
+          : { sql: match, params: [searchTerm] };
+
+        return await watchRead({ table, method: 'fullTextSearch', conditions: {} }, async ({ conditions }) => {
+          const { whereClause, whereValues } = await scopedWhere(table, conditions, { filter });
+          const sql = `
+            SELECT *, ${match} as relevance
+            FROM \`${table}\`
+            ${whereClause}
+            ORDER BY relevance DESC
+            LIMIT ${toLimit(limit)}
+          `;
+          return await db.query(sql, [searchTerm, ...whereValues]);
+        });
+      },
+
+      clone: async (table, id, overrides = {}, idField = primaryKeyOf(table)) => {
+        const original = await db.findOne(table, { [idField]: id });
+        if (!original) throw new NotFoundError('Record not found', { table, id });
+      
+        const { [idField]: _, created_at, updated_at, ...data } = original;
+        const newData = { ...data, ...overrides };
+      
+        return await db.insertAndReturn(table, newData, idField);
+      },
+
+      isDuplicate: async (table, fields = {}, excludeId = null, idField = primaryKeyOf(table)) => {
+        validateTable(table);
+        const conditions = excludeId
+          ? { $and: [fields, { [idField]: { $ne: excludeId } }] }
+          : fields;
+        const count = await watchRead({ table, method: 'isDuplicate', conditions }, async (context) =>
+          await countRows(table, context.conditions), (total) => ({ count: total }));
+        return count > 0;
+      },
+
+      // withTrashed() / onlyTrashed() / withoutTrashed() return a db object
+      // whose reads include, only return or exclude soft-deleted rows. Called
+      // with a table they run selectWhere under that scope directly.
+      withTrashed: (table, conditions = {}, options = {}) => {
+        const scoped = variant({ trashed: 'include' });
+        return table === undefined ? scoped : scoped.selectWhere(table, conditions, options);
+      },
+
+      onlyTrashed: (table, conditions = {}, options = {}) => {
+        const scoped = variant({ trashed: 'only' });
+        return table === undefined ? scoped : scoped.selectWhere(table, conditions, options);
+      },
+
+      withoutTrashed: () => variant({ trashed: 'exclude' }),
+
+      // A db whose reads all go to the writer, for reads that must see a
+      // write that just happened
+      primary: () => variant({ primary: true }),
+
+      // A db that records its statements instead of running them: reads
+      // return no rows, writes affect none, and each statement is emitted as
+      // query:dryrun
+      dryRun: () => variant({ dryRun: scope.dryRun || true }),
+
+      // Runs `callback` with a dry-run db and resolves the statements it
+      // issued; `sql` and `params` are those of the first. For example
+      // `await db.toSQL(dry => dry.updateWhere('users', { id: 1 }, data))`.
+      toSQL: async (callback) => {
+        const statements = [];
+        await callback(bindDb(executor, transactionState, { ...scope, dryRun: statements }));
+        const [first = { sql: null, params: [] }] = statements;
+        return { ...first, statements };
+      },
+
+      // Versioned schema changes: migrate.latest(), migrate.rollback(steps), migrate.status()
+      migrate: migrator,
+
+      // defineModel() registers a table's conventions and returns its model;
+      // model() returns it again, bound to this db (e.g. `tx.model('users')`)
+      defineModel: (table, definition = {}) => {
+        validateTable(table);
+        const model = createModel(db, table, { ...definition, softDelete: isSoftDeleteTable(table, definition) });
+        models.set(table, definition);
+        return model;
+      },
+
+      model: (table) => {
+        const definition = models.get(table);
+        if (!definition) throw new Error(`Model '${table}' is not defined.`);
+        return createModel(db, table, { ...definition, softDelete: isSoftDeleteTable(table) });
+      },
+
+      // Seed scripts for dev and test data: seed.run(names), seed.list()
+      seed: seeder,
+
+      // defineFactory() registers how to build a table's rows: an object of
+      // attributes, or a function of the row's sequence number returning one
+      defineFactory: (table, definition) => {
+        validateTable(table);
+        if (!definition || !['function', 'object'].includes(typeof definition)) {
+          throw new Error(`Factory '${table}' needs an attributes object or a function`);
+        }
+        factories.set(table, { definition, sequence: 0 });
+      },
+
+      // factory() returns a builder for the table: count(), state(), has(),
+      // make() and create(); has() follows the table's model relations
+      factory: (table) => {
+        const entry = factories.get(table);
+        if (!entry) throw new Error(`Factory '${table}' is not defined.`);
+        const definition = models.get(table) || {};
+        return createFactory(db, table, entry, {
+          primaryKey: definition.primaryKey,
+          relationFor: (name) => (definition.relations || {})[name],
+          factoryFor: (tx, target) => tx.factory(target)
+        });
+      },
 
-    /**
-     * Weighted Random - Get random records with weighted probability
-     */
-    weightedRandom: async (table, weightColumn, count = 1, where = {}) => {
-      validateTable(table);
-      const whereKeys = Object.keys(where);
-      const whereValues = Object.values(where);
-
-      const whereClause = whereKeys.length > 0
-        ? `WHERE ${whereKeys.map(k => `\`${k}\` = ?`).join(' AND ')}`
-        : '';
-
-      const sql = `
-        SELECT *,
-          (\`${weightColumn}\` * RAND()) as weighted_score
-        FROM \`${table}\`
-        ${whereClause}
-        ORDER BY weighted_score DESC
-        LIMIT ${count}
-      `;
-
-      const results = await db.query(sql, whereValues);
-      return count === 1 ? (results[0] || null) : results;
-    },
+      jsonExtract: async (table, jsonColumn, path, where = {}) => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        return await readWhere(table, 'jsonExtract', where, async ({ whereClause, whereValues }) => {
+          let sql = `SELECT id, JSON_EXTRACT(${cols.column(jsonColumn)}, ?) as extracted_value FROM \`${table}\``;
 
-    /**
-     * Batch Transform - Apply a transformation function to all records
-     */
-    batchTransform: async (table, transformFn, where = {}, batchSize = 100) => {
-      validateTable(table);
-      let processed = 0;
+          if (whereClause) {
+            sql += ` ${whereClause}`;
+          }
 
-      await db.chunk(table, batchSize, async (records) => {
-        const connection = await pool.getConnection();
+          return await db.query(sql, [path, ...whereValues]);
+        });
+      },
+
+      jsonContains: async (table, jsonColumn, value, where = {}) => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        const filter = { sql: `JSON_CONTAINS(${cols.column(jsonColumn)}, ?)`, params: [JSON.stringify(value)] };
+        return await selectMatching(table, 'jsonContains', where, filter);
+      },
+
+      whereDateBetween: async (table, dateColumn, startDate, endDate, options = {}) => {
+        validateTable(table);
+        return await selectMatching(table, 'whereDateBetween', { [dateColumn]: { $between: [startDate, endDate] } });
+      },
+
+      whereDate: async (table, dateColumn, date, operator = '=') => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        if (!DATE_OPERATORS.includes(operator)) {
+          throw new ValidationError(`Unsupported date operator: ${operator}`);
+        }
+        return await selectMatching(table, 'whereDate', {}, { sql: `DATE(${cols.column(dateColumn)}) ${operator} ?`, params: [date] });
+      },
+
+      whereYear: async (table, dateColumn, year) => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        return await selectMatching(table, 'whereYear', {}, { sql: `YEAR(${cols.column(dateColumn)}) = ?`, params: [year] });
+      },
+
+      whereMonth: async (table, dateColumn, month) => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        return await selectMatching(table, 'whereMonth', {}, { sql: `MONTH(${cols.column(dateColumn)}) = ?`, params: [month] });
+      },
+
+      whereDay: async (table, dateColumn, day) => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        return await selectMatching(table, 'whereDay', {}, { sql: `DAY(${cols.column(dateColumn)}) = ?`, params: [day] });
+      },
+
+      createdToday: async (table, dateColumn = 'created_at') => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        return await selectMatching(table, 'createdToday', {}, { sql: `DATE(${cols.column(dateColumn)}) = CURDATE()`, params: [] });
+      },
+
+      createdThisWeek: async (table, dateColumn = 'created_at') => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        return await selectMatching(table, 'createdThisWeek', {}, { sql: `YEARWEEK(${cols.column(dateColumn)}, 1) = YEARWEEK(CURDATE(), 1)`, params: [] });
+      },
+
+      createdThisMonth: async (table, dateColumn = 'created_at') => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        const column = cols.column(dateColumn);
+        const sql = `YEAR(${column}) = YEAR(CURDATE()) AND MONTH(${column}) = MONTH(CURDATE())`;
+        return await selectMatching(table, 'createdThisMonth', {}, { sql, params: [] });
+      },
+
+      createdThisYear: async (table, dateColumn = 'created_at') => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        return await selectMatching(table, 'createdThisYear', {}, { sql: `YEAR(${cols.column(dateColumn)}) = YEAR(CURDATE())`, params: [] });
+      },
+
+      median: async (table, column, where = {}) => {
+      validateTable(table);
+      const cols = await columnsOf(table);
+      const [result] = await readWhere(table, 'median', where, async ({ whereClause, whereValues }) => {
+        // MySQL 8.0+ compatible median calculation
+        const sql = `
+          WITH ordered_data AS (
+            SELECT ${cols.column(column)},
+              ROW_NUMBER() OVER (ORDER BY ${cols.column(column)}) AS row_num,
+              COUNT(*) OVER () AS total_rows
+            FROM \`${table}\`
+            ${whereClause}
+          )
+          SELECT AVG(${cols.column(column)}) as median_value
+          FROM ordered_data
+          WHERE row_num IN (FLOOR((total_rows + 1) / 2), CEIL((total_rows + 1) / 2))
+        `;
+        return await db.query(sql, whereValues);
+      });
+      return result ? Number(result.median_value) : 0;
+    },
+
+      percentile: async (table, column, percentile = 50, where = {}) => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        // One read, so the position is taken among the rows it picks from
+        const [result] = await watchRead({ table, method: 'percentile', conditions: where }, async ({ conditions }) => {
+          const { whereClause, whereValues } = await scopedWhere(table, conditions);
+          const position = Math.ceil((percentile / 100) * await countRows(table, conditions));
+
+          // No rows, or the 0th percentile, is the first row
+          const sql = `
+            SELECT ${cols.column(column)} FROM \`${table}\`
+            ${whereClause}
+            ORDER BY ${cols.column(column)}
+            LIMIT 1 OFFSET ${Math.max(position - 1, 0)}
+          `;
+          return await db.query(sql, whereValues);
+        });
+        return result?.[column] || null;
+      },
+
+      groupConcat: async (table, column, groupBy, where = {}, separator = ',') => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        return await readWhere(table, 'groupConcat', where, async ({ whereClause, whereValues }) => {
+          const sql = `
+            SELECT ${cols.column(groupBy)}, GROUP_CONCAT(${cols.column(column)} SEPARATOR ${sqlString.escape(String(separator))}) as concatenated
+            FROM \`${table}\`
+            ${whereClause}
+            GROUP BY ${cols.column(groupBy)}
+          `;
+          return await db.query(sql, whereValues);
+        });
+      },
+
+      logAudit: async (action, table, data, userId = null) => {
+        if (!allowedTables.includes('audit_logs')) return;
+        const auditEntry = {
+          action,
+          table_name: table,
+          data: JSON.stringify(data),
+          user_id: userId,
+          timestamp: new Date(),
+        };
         try {
-          await connection.beginTransaction();
-
-          for (const record of records) {
-            const transformed = await transformFn(record);
-            if (transformed && typeof transformed === 'object') {
-              const { id, ...data } = transformed;
-              const finalData = {
-                ...data,
-                ...(useTimestamps ? { updated_at: new Date() } : {})
-              };
-
-              const keys = Object.keys(finalData);
-              const values = Object.values(finalData);
-              const setClause = keys.map(k => `\`${k}\` = ?`).join(', ');
-              const sql = `UPDATE \`${table}\` SET ${setClause} WHERE id = ?`;
-              await connection.execute(sql, [...values, record.id]);
-              processed++;
-            }
+          await db.insert('audit_logs', auditEntry);
+        } catch (err) {
+          log.warn('Audit logging failed', { table, action, error: err });
+        }
+      },
+
+      transaction: async (callback) => {
+        // Nested calls join the transaction that is already open; dry runs
+        // have no connection to open one on
+        if ((transactionState && !transactionState.held) || scope.dryRun) return await callback(db);
+
+        let committing = false;
+        const runOn = async (connection) => {
+          committing = false;
+          const state = { tables: new Set() };
+          try {
+            await connection.beginTransaction();
+            const result = await callback(bindDb(connection, state, scope));
+            committing = true;
+            await connection.commit();
+            replicaSet.markWrite();
+            return result;
+          } catch (err) {
+            // After a lost connection the server has already rolled back
+            await connection.rollback().catch(rollbackErr => log.error('Rollback failed', { error: rollbackErr }));
+            throw err;
+          } finally {
+            await clearCacheForTables([...state.tables]);
           }
+        };
 
-          await connection.commit();
+        try {
+          // A held connection (the migration lock's) keeps the transaction,
+          // so there's no fresh connection to retry on
+          if (transactionState) return await runOn(executor);
+
+          // A transient error re-runs the whole callback on a fresh connection,
+          // unless it hit COMMIT, whose outcome is then unknown
+          return await withRetry(async () => {
+            const connection = await pool.getConnection();
+            try {
+              return await runOn(connection);
+            } finally {
+              connection.release();
+            }
+          }, retry, (err) => isRetryable(err, { safe: !committing }), log);
         } catch (err) {
-          await connection.rollback();
-          throw err;
-        } finally {
-          connection.release();
+          log.error('Transaction failed', { error: err });
+          throw await toDbError(err);
         }
-      }, where);
-
-      clearCacheForTable(table);
-      return processed;
-    },
+      },
+
+      join: async ({ baseTable, joinTable, baseKey, joinKey, conditions = {}, columns = ['*'], joinType = 'INNER' }) => {
+        validateTable(baseTable);
+        validateTable(joinTable);
+        const type = String(joinType).toUpperCase();
+        if (!['INNER', 'LEFT', 'RIGHT'].includes(type)) {
+          throw new ValidationError(`Unsupported join type: ${joinType}`);
+        }
+        const cols = await columnsOf(baseTable, { [joinTable]: joinTable });
+        const selectClause = cols.select(columns);
+        return await watchRead({ table: baseTable, method: 'join', conditions }, async (context) => {
+          const { whereClause, whereValues } = await scopedWhere(baseTable, context.conditions, { prefix: baseTable, resolver: cols });
+          const sql = `
+            SELECT ${selectClause}
+            FROM \`${baseTable}\`
+            ${type} JOIN \`${joinTable}\` ON ${cols.column(`${baseTable}.${baseKey}`)} = ${cols.column(`${joinTable}.${joinKey}`)}${joinedTrashed(joinTable, joinTable)}
+            ${whereClause}
+          `.trim();
+          return await db.query(sql, whereValues);
+        });
+      },
+
+      multiJoin: async ({ baseTable, baseAlias = baseTable, joins = [], conditions: where = {}, columns = ['*'] }) => {
+        validateTable(baseTable);
+        joins.forEach(j => validateTable(j.table));
+        return await watchRead({ table: baseTable, method: 'multiJoin', conditions: where }, async ({ conditions }) => {
+          const cols = await columnsOf(baseAlias, Object.fromEntries([
+            [baseAlias, baseTable],
+            ...joins.map(j => [j.alias || j.table, j.table])
+          ]));
+          const { whereClause, whereValues: values } = await scopedWhere(baseTable, conditions, { prefix: baseAlias, resolver: cols });
+
+          const joinClauses = joins.map(join => {
+            const { table, alias = table, type = 'INNER', baseColumn, joinColumn } = join;
+            const joinType = type.toUpperCase();
+            if (!['INNER', 'LEFT', 'RIGHT', 'FULL'].includes(joinType)) {
+              throw new ValidationError(`Unsupported join type: ${joinType}`);
+            }
+            if (joinType === 'FULL') return null;
+            return `${joinType} JOIN \`${table}\` AS ${quoteIdentifier(alias)} ON ${cols.column(`${baseAlias}.${baseColumn}`)} = ${cols.column(`${alias}.${joinColumn}`)}${joinedTrashed(table, alias)}`;
+          }).filter(Boolean).join('\n');
+
+          const fullJoins = joins.filter(j => j.type?.toUpperCase() === 'FULL');
+          if (fullJoins.length) {
+            const [fullJoin] = fullJoins;
+            const { table, alias = table, baseColumn, joinColumn } = fullJoin;
+            // In the mirrored half the joined table drives the query, so the
+            // soft-delete filters swap between ON and WHERE
+            const mirroredFilters = [
+              compileWith(cols, conditions, baseAlias).sql,
+              trashedFilter(table, { prefix: alias, mode: joinedMode })
+            ].filter(Boolean);
+            const mirroredWhere = mirroredFilters.length > 0 ? `WHERE ${mirroredFilters.join(' AND ')}` : '';
+            const joinedFilter = joinedTrashed(table, alias);
+            const onClause = `${cols.column(`${baseAlias}.${baseColumn}`)} = ${cols.column(`${alias}.${joinColumn}`)}`;
+            const leftJoinQuery = `
+              SELECT ${cols.select(columns)}
+              FROM \`${baseTable}\` AS ${quoteIdentifier(baseAlias)}
+              LEFT JOIN \`${table}\` AS ${quoteIdentifier(alias)} ON ${onClause}${joinedFilter}
+              ${whereClause}
+            `;
+            const rightJoinQuery = `
+              SELECT ${cols.select(columns)}
+              FROM \`${table}\` AS ${quoteIdentifier(alias)}
+              LEFT JOIN \`${baseTable}\` AS ${quoteIdentifier(baseAlias)} ON ${onClause}${andTrashed(baseTable, { prefix: baseAlias })}
+              ${mirroredWhere}
+            `;
+            const sql = `(${leftJoinQuery}) UNION (${rightJoinQuery})`;
+            return await db.query(sql, [...values, ...values]);
+          }
 
-    /**
-     * Snapshot - Create a backup snapshot of a table
-     */
-    snapshot: async (table, snapshotName = null) => {
-      validateTable(table);
-      const timestamp = new Date().getTime();
-      const name = snapshotName || `${table}_snapshot_${timestamp}`;
+          const sql = `
+            SELECT ${cols.select(columns)}
+            FROM \`${baseTable}\` AS ${quoteIdentifier(baseAlias)}
+            ${joinClauses}
+            ${whereClause}
+          `.trim();
+          return await db.query(sql, values);
+        });
+      },
+
+      hasOne: async (parentTable, childTable, parentId, foreignKey = 'parent_id', columns = ['*']) => {
+        validateTable(parentTable);
+        validateTable(childTable);
+        const cols = await columnsOf(childTable);
+        const [row] = await readWhere(childTable, 'hasOne', { [foreignKey]: parentId }, async ({ whereClause, whereValues }) =>
+          await db.query(`SELECT ${cols.select(columns)} FROM \`${childTable}\` ${whereClause} LIMIT 1`, whereValues));
+        return row || null;
+      },
+
+      hasMany: async (parentTable, childTable, parentId, foreignKey = 'parent_id', columns = ['*']) => {
+        validateTable(parentTable);
+        validateTable(childTable);
+        const cols = await columnsOf(childTable);
+        return await readWhere(childTable, 'hasMany', { [foreignKey]: parentId }, async ({ whereClause, whereValues }) =>
+          await db.query(`SELECT ${cols.select(columns)} FROM \`${childTable}\` ${whereClause}`, whereValues));
+      },
+
+      belongsTo: async (childTable, parentTable, foreignKeyValue, foreignKey = 'parent_id', columns = ['*']) => {
+        validateTable(childTable);
+        validateTable(parentTable);
+        const cols = await columnsOf(parentTable);
+        const [row] = await readWhere(parentTable, 'belongsTo', { id: foreignKeyValue }, async ({ whereClause, whereValues }) =>
+          await db.query(`SELECT ${cols.select(columns)} FROM \`${parentTable}\` ${whereClause}`, whereValues));
+        return row || null;
+      },
+
+      belongsToMany: async (table1, table2, pivotTable, id, columns = ['*']) => {
+        validateTable(table1);
+        validateTable(table2);
+        validateTable(pivotTable);
+        const cols = await columnsOf(table2, { [pivotTable]: pivotTable });
+        const filter = { sql: `${cols.column(`${pivotTable}.${table1}_id`)} = ?`, params: [id] };
+
+        return await watchRead({ table: table2, method: 'belongsToMany', conditions: {} }, async ({ conditions }) => {
+          const { whereClause, whereValues } = await scopedWhere(table2, conditions, { prefix: table2, resolver: cols, filter });
+          const sql = `
+            SELECT ${columns.map(c => cols.column(`${table2}.${c}`)).join(', ')}
+            FROM \`${table2}\`
+            INNER JOIN \`${pivotTable}\` ON ${cols.column(`${table2}.id`)} = ${cols.column(`${pivotTable}.${table2}_id`)}
+            ${whereClause}
+          `;
+          return await db.query(sql, whereValues);
+        });
+      },
+
+      whereIn: async (table, column, values = []) => {
+        validateTable(table);
+        if (!Array.isArray(values) || values.length === 0) return [];
+        return await selectMatching(table, 'whereIn', { [column]: { $in: values } });
+      },
+
+      whereNotIn: async (table, column, values = []) => {
+        validateTable(table);
+        if (!Array.isArray(values) || values.length === 0) return [];
+        return await selectMatching(table, 'whereNotIn', { [column]: { $nin: values } });
+      },
+
+      whereBetween: async (table, column, min, max) =>
+        await selectMatching(table, 'whereBetween', { [column]: { $between: [min, max] } }),
+
+      whereNotBetween: async (table, column, min, max) =>
+        await selectMatching(table, 'whereNotBetween', { [column]: { $notBetween: [min, max] } }),
+
+      whereNull: async (table, column) =>
+        await selectMatching(table, 'whereNull', { [column]: { $null: true } }),
+
+      whereNotNull: async (table, column) =>
+        await selectMatching(table, 'whereNotNull', { [column]: { $null: false } }),
+
+      whereGreaterThan: async (table, column, value) =>
+        await selectMatching(table, 'whereGreaterThan', { [column]: { $gt: value } }),
+
+      whereLessThan: async (table, column, value) =>
+        await selectMatching(table, 'whereLessThan', { [column]: { $lt: value } }),
+
+      whereStartsWith: async (table, column, value) =>
+        await selectMatching(table, 'whereStartsWith', { [column]: { $like: `${value}%` } }),
+
+      whereEndsWith: async (table, column, value) =>
+        await selectMatching(table, 'whereEndsWith', { [column]: { $like: `%${value}` } }),
+
+      whereContains: async (table, column, value) =>
+        await selectMatching(table, 'whereContains', { [column]: { $like: `%${value}%` } }),
+
+      whereLike: async (table, column, value, caseSensitive = false) => {
+        if (!caseSensitive) return await selectMatching(table, 'whereLike', { [column]: { $like: `%${value}%` } });
+        validateTable(table);
+        const cols = await columnsOf(table);
+        return await selectMatching(table, 'whereLike', {}, { sql: `${cols.column(column)} LIKE BINARY ?`, params: [`%${value}%`] });
+      },
+
+      // addHook(type, operation, [table], callback) adds a listener for every
+      // table, or only `table`; listeners run in the order they were added.
+      // Returns a function that removes the listener.
+      addHook: (type, operation, ...args) => {
+        const [table, callback] = args.length > 1 ? args : [null, args[0]];
+        if (table !== null) validateTable(table);
+        return hooks.add(type, operation, table, callback);
+      },
+
+      // removeHook(type, operation, [table], [callback]) removes the matching
+      // listeners; with neither, every listener of the operation
+      removeHook: (type, operation, ...args) => {
+        const table = typeof args[0] === 'string' ? args.shift() : null;
+        hooks.remove(type, operation, table, args[0] || null);
+      },
+
+      clearCache: async (table = null) => {
+        if (table) {
+          await invalidateTable(table);
+        } else {
+          await queryCache.clear();
+        }
+      },
 
-      const sql = `CREATE TABLE \`${name}\` AS SELECT * FROM \`${table}\``;
-      await db.rawUnsafe(sql);
+      // `size` is null for backends that can't count their entries cheaply
+      getCacheStats: () => {
+        const { hits, misses } = cacheCounters;
+        return {
+          size: null,
+          ...(queryCache.stats ? queryCache.stats() : {}),
+          enabled: enableQueryCache,
+          expiry: cacheExpiry,
+          hits,
+          misses,
+          hitRate: hits + misses > 0 ? hits / (hits + misses) : 0
+        };
+      },
+
+      // Query counters and latency histograms by table and operation, cache
+      // hit ratio and pool saturation
+      getMetrics: () => {
+        const { hits, misses, hitRate } = db.getCacheStats();
+        const poolInfo = db.getPoolInfo();
+        const connectionLimit = (pool.pool ?? pool).config?.connectionLimit ?? null;
+        return {
+          queries: queryMetrics.queries(),
+          cache: { hits, misses, hitRate },
+          pool: {
+            ...poolInfo,
+            connectionLimit,
+            saturation: connectionLimit ? poolInfo.activeConnections / connectionLimit : null
+          },
+          timestamp: new Date()
+        };
+      },
+
+      // getMetrics() in the Prometheus text exposition format
+      getPrometheusMetrics: () => toPrometheus(db.getMetrics(), metrics.prefix),
+
+      // Zeroes the query counters, cache hits / misses included
+      resetMetrics: () => {
+        queryMetrics.reset();
+        cacheCounters.hits = 0;
+        cacheCounters.misses = 0;
+      },
+
+      getTableSchema: async (table) => {
+        validateTable(table);
+        const sql = `DESCRIBE \`${table}\``;
+        return await db.query(sql);
+      },
+
+      // Cached column metadata: Map of column name -> { type, nullable, key, default, extra }
+      getColumns: async (table) => {
+        validateTable(table);
+        return await loadSchema(table);
+      },
+
+      // Forget cached column metadata after a schema change. With a table the
+      // metadata is reloaded and returned; without one every table is cleared.
+      refreshSchema: async (table = null) => {
+        indexColumns.clear();
+        if (!table) {
+          schemaCache.clear();
+          return null;
+        }
+        validateTable(table);
+        schemaCache.delete(table);
+        return await loadSchema(table);
+      },
+
+      getTableIndexes: async (table) => {
+        validateTable(table);
+        const sql = `SHOW INDEX FROM \`${table}\``;
+        return await db.query(sql);
+      },
+
+      getTableInfo: async (table) => {
+        validateTable(table);
+        const sql = `
+          SELECT 
+            table_name,
+            table_rows,
+            data_length,
+            index_length,
+            ROUND((data_length + index_length) / 1024 / 1024, 2) as size_mb
+          FROM information_schema.tables
+          WHERE table_schema = DATABASE()
+          AND table_name = ?
+        `;
+        return await db.getOne(sql, [table]);
+      },
+
+      listTables: async () => {
+        const sql = 'SHOW TABLES';
+        const results = await db.query(sql);
+        return results.map(row => Object.values(row)[0]);
+      },
+
+      tableExists: async (table) => {
+        const sql = `
+          SELECT COUNT(*) as count
+          FROM information_schema.tables
+          WHERE table_schema = DATABASE()
+          AND table_name = ?
+        `;
+        const result = await db.getOne(sql, [table]);
+        return Boolean(result) && result.count > 0;
+      },
+
+      optimizeTable: async (table) => {
+        validateTable(table);
+        const sql = `OPTIMIZE TABLE \`${table}\``;
+        return await db.query(sql);
+      },
+
+      analyzeTable: async (table) => {
+        validateTable(table);
+        const sql = `ANALYZE TABLE \`${table}\``;
+        return await db.query(sql);
+      },
+
+      raw: async (sql, params = []) => {
+        const dangerousKeywords = ['DROP', 'TRUNCATE', 'ALTER', 'CREATE'];
+
+        for (const keyword of dangerousKeywords) {
+          // Check for keyword as a statement start to avoid false positives
+          const regex = new RegExp(`\\b${keyword}\\b`, 'i');
+          if (regex.test(sql)) {
+            throw new ValidationError(`Dangerous SQL keyword detected: ${keyword}`);
+          }
+        }
 
-      return {
-        snapshotName: name,
-        timestamp: new Date(),
-        originalTable: table
-      };
-    },
+        return await db.query(sql, params);
+      },
 
-    /**
-     * Versioning - Track record versions automatically
-     */
-    createVersion: async (table, id, userId = null, idField = 'id') => {
-      const versionTable = `${table}_versions`;
-      if (!allowedTables.includes(versionTable)) {
-        throw new Error(`Version table '${versionTable}' not in allowed tables`);
-      }
+      rawUnsafe: async (sql, params = []) => {
+        return await db.query(sql, params);
+      },
 
-      const record = await db.findOne(table, { [idField]: id });
-      if (!record) throw new Error('Record not found');
+      // Marks SQL as a deliberate raw expression for select columns, orderBy,
+      // groupBy, whereRaw, having and conditionalAggregate conditions
+      rawExpr,
 
-      const versionData = {
-        record_id: id,
-        data: JSON.stringify(record),
-        user_id: userId,
-        version_timestamp: new Date()
-      };
+      healthCheck: async () => {
+        try {
+          await execute('SELECT 1', [], { primary: true });
+          return { status: 'healthy', timestamp: new Date() };
+        } catch (err) {
+          return { status: 'unhealthy', error: err.message, timestamp: new Date() };
+        }
+      },
+
+      // Query lifecycle events: query:start, query:end and query:error, and
+      // query:dryrun for statements a dry run recorded
+      events,
+
+      on: (event, listener) => {
+        events.on(event, listener);
+        return db;
+      },
+
+      off: (event, listener) => {
+        events.off(event, listener);
+        return db;
+      },
+
+      // Health of each read replica; checkReplicas() probes them right away
+      getReplicaStatus: () => replicaSet.status(),
+
+      checkReplicas: async () => {
+        await replicaSet.check();
+        return replicaSet.status();
+      },
+
+      getDatabaseStats: async () => {
+        const sql = `
+          SELECT 
+            COUNT(*) as table_count,
+            SUM(table_rows) as total_rows,
+            ROUND(SUM(data_length + index_length) / 1024 / 1024, 2) as total_size_mb
+          FROM information_schema.tables
+          WHERE table_schema = DATABASE()
+        `;
+        return await db.getOne(sql);
+      },
+
+      getPoolInfo: () => {
+    const stats = pool.pool ?? pool;
+    return {
+      totalConnections: stats._allConnections?.length ?? 0,
+      activeConnections: (stats._allConnections?.length ?? 0) - (stats._freeConnections?.length ?? 0),
+      freeConnections: stats._freeConnections?.length ?? 0,
+      queueLength: stats._connectionQueue?.length ?? 0
+    };
+  },
 
-      return await db.insert(versionTable, versionData);
-    },
+      // ========================================
+      // CREATIVE FUNCTIONS (Not in mysql2)
+      // ========================================
+
+      /**
+       * Smart Diff - Compare two records and return only the changed fields
+       */
+      diff: async (table, id1, id2, idField = primaryKeyOf(table)) => {
+        validateTable(table);
+        const [record1, record2] = await Promise.all([
+          db.findOne(table, { [idField]: id1 }),
+          db.findOne(table, { [idField]: id2 })
+        ]);
+
+        if (!record1 || !record2) {
+          throw new NotFoundError('One or both records not found', { table, id: record1 ? id2 : id1 });
+        }
 
-    /**
-     * Conditional Aggregate - Aggregate with conditional logic
-     */
-    conditionalAggregate: async (table, aggregations = [], where = {}) => {
-      validateTable(table);
-      const whereKeys = Object.keys(where);
-      const whereValues = Object.values(where);
+        const differences = {};
+        const allKeys = new Set([...Object.keys(record1), ...Object.keys(record2)]);
 
-      const aggClauses = aggregations.map(agg => {
-        const { func, column, condition, alias } = agg;
-        if (condition) {
-          return `${func}(CASE WHEN ${condition} THEN \`${column}\` ELSE NULL END) as ${alias || column}`;
+        for (const key of allKeys) {
+          if (record1[key] !== record2[key]) {
+            differences[key] = {
+              from: record1[key],
+              to: record2[key]
+            };
+          }
         }
-        return `${func}(\`${column}\`) as ${alias || column}`;
-      }).join(', ');
 
-      const whereClause = whereKeys.length > 0
-        ? `WHERE ${whereKeys.map(k => `\`${k}\` = ?`).join(' AND ')}`
-        : '';
+        return differences;
+      },
 
-      const sql = `SELECT ${aggClauses} FROM \`${table}\` ${whereClause}`;
-      return await db.getOne(sql, whereValues);
-    },
+      /**
+       * Bulk Conditional Update - Update multiple records with different conditions
+       */
+      bulkConditionalUpdate: async (table, updates = []) => {
+        validateTable(table);
+        if (!Array.isArray(updates) || updates.length === 0) return 0;
 
-    /**
-     * Rank - Rank records based on a column with tie handling
-     */
-    rank: async (table, rankColumn, options = {}) => {
-      validateTable(table);
-      const {
-        partitionBy = null,
-        orderDirection = 'DESC',
-        where = {},
-        limit = 100
-      } = options;
+        return await db.transaction(async (tx) => {
+          let totalAffected = 0;
+
+          for (const { where, data } of updates) {
+            totalAffected += await tx.updateWhere(table, where, data);
+          }
 
-      const whereKeys = Object.keys(where);
-      const whereValues = Object.values(where);
-      const whereClause = whereKeys.length > 0
-        ? `WHERE ${whereKeys.map(k => `\`${k}\` = ?`).join(' AND ')}`
-        : '';
+          return totalAffected;
+        });
+      },
+
+      /**
+       * Time Travel Query - Query records as they were at a specific timestamp
+       */
+      timeTravel: async (table, timestamp, where = {}) => {
+        return await selectMatching(table, 'timeTravel', {
+          $and: [
+            where,
+            { created_at: { $lte: timestamp } },
+            { $or: [{ updated_at: { $lte: timestamp } }, { updated_at: null }] }
+          ]
+        });
+      },
+
+      /**
+       * Smart Merge - Merge data from multiple tables based on common keys
+       */
+      smartMerge: async (tables = [], commonKey = 'id', keyValue) => {
+        tables.forEach(t => validateTable(t));
+
+        const results = await Promise.all(
+          tables.map(table => db.findOne(table, { [commonKey]: keyValue }))
+        );
+
+        const merged = {};
+        results.forEach((record, index) => {
+          if (record) {
+            Object.assign(merged, {
+              ...record,
+              [`_source_${tables[index]}`]: true
+            });
+          }
+        });
 
-      const partitionClause = partitionBy ? `PARTITION BY \`${partitionBy}\`` : '';
+        return Object.keys(merged).length > 0 ? merged : null;
+      },
+
+      /**
+       * Fuzzy Search - Find records with approximate matching
+       */
+      fuzzySearch: async (table, field, searchTerm, maxScore = 3) => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        const filter = { sql: `${cols.column(field)} LIKE ?`, params: [`%${searchTerm}%`] };
+        return await readWhere(table, 'fuzzySearch', {}, async ({ whereClause, whereValues }) => {
+          const sql = `
+            SELECT *,
+              CASE
+                WHEN ${cols.column(field)} = ? THEN 0
+                WHEN ${cols.column(field)} LIKE ? THEN 1
+                WHEN ${cols.column(field)} LIKE ? THEN 2
+                ELSE 3
+              END as match_score
+            FROM \`${table}\`
+            ${whereClause}
+            HAVING match_score <= ?
+            ORDER BY match_score, ${cols.column(field)}
+            LIMIT 50
+          `;
+
+          return await db.query(sql, [
+            searchTerm,
+            `${searchTerm}%`,
+            `%${searchTerm}%`,
+            ...whereValues,
+            maxScore
+          ]);
+        }, filter);
+      },
+
+      /**
+       * Weighted Random - Get random records with weighted probability
+       */
+      weightedRandom: async (table, weightColumn, count = 1, where = {}) => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        const results = await readWhere(table, 'weightedRandom', where, async ({ whereClause, whereValues }) => {
+          const sql = `
+            SELECT *,
+              (${cols.column(weightColumn)} * RAND()) as weighted_score
+            FROM \`${table}\`
+            ${whereClause}
+            ORDER BY weighted_score DESC
+            LIMIT ${toLimit(count, 'count')}
+          `;
+          return await db.query(sql, whereValues);
+        });
+        return count === 1 ? (results[0] || null) : results;
+      },
+
+      /**
+       * Batch Transform - Apply a transformation function to all records
+       */
+      batchTransform: async (table, transformFn, where = {}, batchSize = 100) => {
+        validateTable(table);
+        let processed = 0;
+
+        await db.chunk(table, batchSize, async (records) => {
+          await db.transaction(async (tx) => {
+            for (const record of records) {
+              const transformed = await transformFn(record);
+              if (transformed && typeof transformed === 'object') {
+                const { id, ...data } = transformed;
+                await tx.updateById(table, record.id, data);
+                processed++;
+              }
+            }
+          });
+        }, where);
 
-      const sql = `
-        SELECT *,
-          RANK() OVER (${partitionClause} ORDER BY \`${rankColumn}\` ${orderDirection}) as rank_position,
-          DENSE_RANK() OVER (${partitionClause} ORDER BY \`${rankColumn}\` ${orderDirection}) as dense_rank
-        FROM \`${table}\`
-        ${whereClause}
-        LIMIT ${limit}
-      `;
+        await invalidateTable(table);
+        return processed;
+      },
 
-      return await db.query(sql, whereValues);
-    },
+      /**
+       * Snapshot - Create a backup snapshot of a table
+       */
+      snapshot: async (table, snapshotName = null) => {
+        validateTable(table);
+        const timestamp = new Date().getTime();
+        const name = snapshotName || `${table}_snapshot_${timestamp}`;
 
-    /**
-     * Moving Average - Calculate moving average for time series data
-     */
-    movingAverage: async (table, valueColumn, dateColumn, windowSize = 7, where = {}) => {
-      validateTable(table);
-      const whereKeys = Object.keys(where);
-      const whereValues = Object.values(where);
-
-      const whereClause = whereKeys.length > 0
-        ? `WHERE ${whereKeys.map(k => `\`${k}\` = ?`).join(' AND ')}`
-        : '';
-
-      const sql = `
-        SELECT
-          \`${dateColumn}\`,
-          \`${valueColumn}\`,
-          AVG(\`${valueColumn}\`) OVER (
-            ORDER BY \`${dateColumn}\`
-            ROWS BETWEEN ${windowSize - 1} PRECEDING AND CURRENT ROW
-          ) as moving_avg
-        FROM \`${table}\`
-        ${whereClause}
-        ORDER BY \`${dateColumn}\`
-      `;
-
-      return await db.query(sql, whereValues);
-    },
+        const sql = `CREATE TABLE ${quoteIdentifier(name)} AS SELECT * FROM \`${table}\``;
+        await db.rawUnsafe(sql);
 
-    /**
-     * Duplicate Detection - Find potential duplicate records
-     */
-    findDuplicates: async (table, compareFields = []) => {
-      validateTable(table);
-      if (compareFields.length === 0) {
-        throw new Error('At least one field must be specified for comparison');
-      }
+        return {
+          snapshotName: name,
+          timestamp: new Date(),
+          originalTable: table
+        };
+      },
+
+      /**
+       * Versioning - Track record versions automatically
+       */
+      createVersion: async (table, id, userId = null, idField = primaryKeyOf(table)) => {
+        const versionTable = `${table}_versions`;
+        if (!allowedTables.includes(versionTable)) {
+          throw new TableNotAllowedError(versionTable);
+        }
 
-      const groupByClause = compareFields.map(f => `\`${f}\``).join(', ');
-      const selectFields = compareFields.map(f => `\`${f}\``).join(', ');
+        const record = await db.findOne(table, { [idField]: id });
+        if (!record) throw new NotFoundError('Record not found', { table, id });
 
-      const sql = `
-        SELECT ${selectFields}, COUNT(*) as duplicate_count, GROUP_CONCAT(id) as duplicate_ids
-        FROM \`${table}\`
-        GROUP BY ${groupByClause}
-        HAVING COUNT(*) > 1
-        ORDER BY duplicate_count DESC
-      `;
+        const versionData = {
+          record_id: id,
+          data: JSON.stringify(record),
+          user_id: userId,
+          version_timestamp: new Date()
+        };
 
-      return await db.query(sql);
-    },
+        return await db.insert(versionTable, versionData);
+      },
+
+      /**
+       * Conditional Aggregate - Aggregate with conditional logic
+       */
+      conditionalAggregate: async (table, aggregations = [], where = {}) => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+
+        // CASE conditions come before WHERE, so their values lead the params
+        const aggParams = [];
+        const aggClauses = aggregations.map(agg => {
+          const { func, column, condition, alias } = agg;
+          const upperFunc = String(func).toUpperCase();
+          if (!AGGREGATE_FUNCTIONS.includes(upperFunc)) {
+            throw new ValidationError(`Unsupported aggregate function: ${func}`);
+          }
+          const as = quoteIdentifier(alias || column);
+          if (condition) {
+            const { sql, params } = isRawExpr(condition)
+              ? condition
+              : compileWith(cols, condition);
+            aggParams.push(...params);
+            return `${upperFunc}(CASE WHEN ${sql} THEN ${cols.column(column)} ELSE NULL END) as ${as}`;
+          }
+          return `${upperFunc}(${cols.column(column)}) as ${as}`;
+        }).join(', ');
+
+        const [result] = await readWhere(table, 'conditionalAggregate', where, async ({ whereClause, whereValues }) =>
+          await db.query(`SELECT ${aggClauses} FROM \`${table}\` ${whereClause}`, [...aggParams, ...whereValues]));
+        return result || null;
+      },
+
+      /**
+       * Rank - Rank records based on a column with tie handling
+       */
+      rank: async (table, rankColumn, options = {}) => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        const {
+          partitionBy = null,
+          orderDirection = 'DESC',
+          where = {},
+          limit = 100
+        } = options;
+
+        const partitionClause = partitionBy ? `PARTITION BY ${cols.column(partitionBy)}` : '';
+        const direction = normalizeDirection(orderDirection);
+
+        return await readWhere(table, 'rank', where, async ({ whereClause, whereValues }) => {
+          const sql = `
+            SELECT *,
+              RANK() OVER (${partitionClause} ORDER BY ${cols.column(rankColumn)} ${direction}) as rank_position,
+              DENSE_RANK() OVER (${partitionClause} ORDER BY ${cols.column(rankColumn)} ${direction}) as dense_rank
+            FROM \`${table}\`
+            ${whereClause}
+            LIMIT ${toLimit(limit)}
+          `;
+          return await db.query(sql, whereValues);
+        });
+      },
+
+      /**
+       * Moving Average - Calculate moving average for time series data
+       */
+      movingAverage: async (table, valueColumn, dateColumn, windowSize = 7, where = {}) => {
+        validateTable(table);
+        const cols = await columnsOf(table);
+        return await readWhere(table, 'movingAverage', where, async ({ whereClause, whereValues }) => {
+          const sql = `
+            SELECT
+              ${cols.column(dateColumn)},
+              ${cols.column(valueColumn)},
+              AVG(${cols.column(valueColumn)}) OVER (
+                ORDER BY ${cols.column(dateColumn)}
+                ROWS BETWEEN ${Math.max(toLimit(windowSize, 'windowSize') - 1, 0)} PRECEDING AND CURRENT ROW
+              ) as moving_avg
+            FROM \`${table}\`
+            ${whereClause}
+            ORDER BY ${cols.column(dateColumn)}
+          `;
+          return await db.query(sql, whereValues);
+        });
+      },
+
+      /**
+       * Duplicate Detection - Find potential duplicate records
+       */
+      findDuplicates: async (table, compareFields = []) => {
+        validateTable(table);
+        if (compareFields.length === 0) {
+          throw new ValidationError('At least one field must be specified for comparison');
+        }
 
-    /**
-     * Intelligent Cache Warming - Pre-load frequently accessed data
-     */
-    warmCache: async (table, queries = []) => {
-      validateTable(table);
-      const warmedCount = queries.length;
+        const cols = await columnsOf(table);
+        const groupByClause = cols.groupBy(compareFields);
+        const selectFields = compareFields.map(cols.column).join(', ');
+        return await readWhere(table, 'findDuplicates', {}, async ({ whereClause, whereValues }) => {
+          const sql = `
+            SELECT ${selectFields}, COUNT(*) as duplicate_count, GROUP_CONCAT(id) as duplicate_ids
+            FROM \`${table}\`
+            ${whereClause}
+            GROUP BY ${groupByClause}
+            HAVING COUNT(*) > 1
+            ORDER BY duplicate_count DESC
+          `;
+          return await db.query(sql, whereValues);
+        });
+      },
 
-      await Promise.all(
-        queries.map(({ where = {}, options = {} }) =>
-          db.selectWhere(table, where, { ...options, useCache: true })
-        )
-      );
+      /**
+       * Intelligent Cache Warming - Pre-load frequently accessed data
+       */
+      warmCache: async (table, queries = []) => {
+        validateTable(table);
+        const warmedCount = queries.length;
 
-      return {
-        warmedQueries: warmedCount,
-        cacheSize: queryCache.size,
-        timestamp: new Date()
-      };
-    },
+        await Promise.all(
+          queries.map(({ where = {}, options = {} }) =>
+            db.selectWhere(table, where, { ...options, useCache: true })
+          )
+        );
 
-    /**
-     * Cascade Update - Update record and all related records
-     */
-    cascadeUpdate: async (table, id, data, relations = [], idField = 'id') => {
-      validateTable(table);
-      const connection = await pool.getConnection();
+        return {
+          warmedQueries: warmedCount,
+          cacheSize: db.getCacheStats().size,
+          timestamp: new Date()
+        };
+      },
 
-      try {
-        await connection.beginTransaction();
+      /**
+       * Cascade Update - Update record and all related records
+       */
+      cascadeUpdate: async (table, id, data, relations = [], idField = primaryKeyOf(table)) => {
+        validateTable(table);
+        relations.forEach(r => validateTable(r.table));
 
-        // Update main record
-        await db.updateById(table, id, data, idField);
+        return await db.transaction(async (tx) => {
+          // Update main record
+          await tx.updateById(table, id, data, idField);
 
-        // Update related records
-        for (const relation of relations) {
-          const { table: relTable, foreignKey, data: relData } = relation;
-          validateTable(relTable);
+          // Update related records
+          for (const relation of relations) {
+            const { table: relTable, foreignKey, data: relData } = relation;
 
-          if (relData && Object.keys(relData).length > 0) {
-            await db.updateWhere(relTable, { [foreignKey]: id }, relData);
+            if (relData && Object.keys(relData).length > 0) {
+              await tx.updateWhere(relTable, { [foreignKey]: id }, relData);
+            }
           }
-        }
 
-        await connection.commit();
-        clearCacheForTable(table);
-        relations.forEach(r => clearCacheForTable(r.table));
+          return { success: true, updated: 1 + relations.length };
+        });
+      },
+
+      /**
+       * Query Statistics - Analyze query performance patterns
+       */
+      queryStats: async (table, options = {}) => {
+        validateTable(table);
+        const { days = 7 } = options;
+
+        // avg_row_size is MySQL's estimate for the whole table, in bytes
+        const sql = `
+          SELECT
+            COUNT(*) as total_records,
+            (
+              SELECT AVG_ROW_LENGTH FROM information_schema.tables
+              WHERE table_schema = DATABASE() AND table_name = ?
+            ) as avg_row_size,
+            MAX(created_at) as latest_record,
+            MIN(created_at) as oldest_record,
+            COUNT(DISTINCT DATE(created_at)) as days_with_data
+          FROM \`${table}\`
+          WHERE created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+        `;
 
-        return { success: true, updated: 1 + relations.length };
-      } catch (err) {
-        await connection.rollback();
-        throw err;
-      } finally {
-        connection.release();
+        return await db.getOne(sql, [table, days]);
       }
-    },
 
-    /**
-     * Query Statistics - Analyze query performance patterns
-     */
-    queryStats: async (table, options = {}) => {
-      validateTable(table);
-      const { days = 7 } = options;
-
-      const sql = `
-        SELECT
-          COUNT(*) as total_records,
-          AVG(CHAR_LENGTH(CAST(CONCAT_WS('', *) AS CHAR))) as avg_row_size,
-          MAX(created_at) as latest_record,
-          MIN(created_at) as oldest_record,
-          COUNT(DISTINCT DATE(created_at)) as days_with_data
-        FROM \`${table}\`
-        WHERE created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
-      `;
-
-      return await db.getOne(sql, [days]);
-    }
+    };
+
+    // Raw mysql2 connection for statements the helpers don't cover
+    if (transactionState) db.connection = executor;
+
+    return db;
+  };
+
+  const migrator = createMigrator(pool, bindDb, migrations, log);
+  const seeder = createSeeder(pool, bindDb, seeds, log);
+  const replicaDbs = new Map();
+  const replicaSet = createReplicaSet(pool, readReplicas, (replica) => {
+    if (!replicaDbs.has(replica)) replicaDbs.set(replica, bindDb(replica));
+    return replicaDbs.get(replica).healthCheck();
+  }, log);
 
-  }
-  return db;
+  return bindDb(pool);
 };
 
 module.exports = {
   createDb,
-  generateCrudRoutes
+  generateCrudRoutes,
+  createCrudRoutes,
+  adapters,
+  openApiDocument,
+  rawExpr,
+  createLruCache,
+  createRedisCache,
+  ...errors
 };
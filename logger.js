@@ -0,0 +1,25 @@
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const noop = () => {};
+
+/**
+ * Normalize a `logger` option into { debug, info, warn, error }, each called
+ * as (message, meta). pino loggers (recognized by `levels.values`) take the
+ * meta object first; console, winston and similar take the message first.
+ * `null` or `false` silences the library.
+ */
+const createLogger = (logger = console) => {
+  if (!logger) return Object.fromEntries(LEVELS.map(level => [level, noop]));
+
+  const metaFirst = Boolean(logger.levels && logger.levels.values);
+
+  return Object.fromEntries(LEVELS.map(level => {
+    const method = typeof logger[level] === 'function' ? logger[level] : logger.log;
+    if (typeof method !== 'function') return [level, noop];
+    return [level, (message, meta = {}) => (metaFirst
+      ? method.call(logger, meta, message)
+      : method.call(logger, message, meta))];
+  }));
+};
+
+module.exports = createLogger;
@@ -0,0 +1,138 @@
+// Latency histogram bucket bounds, in ms
+const DEFAULT_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+// First keyword of a statement: select, insert, update, delete, ...
+const operationOf = (sql) => {
+  const match = /^\s*\(?\s*([A-Za-z]+)/.exec(sql);
+  return match ? match[1].toLowerCase() : 'other';
+};
+
+/**
+ * Query metrics - Per table and operation counters, error counts by code and
+ * latency histograms for every statement that reaches the database. Cache
+ * hits never do, so they only show up in the cache metrics.
+ */
+const createMetrics = (options = {}) => {
+  const { buckets = DEFAULT_BUCKETS } = options;
+  const bounds = [...buckets].sort((a, b) => a - b);
+
+  // `${table}\0${operation}` -> series
+  let series = new Map();
+
+  const seriesFor = ({ table, sql }) => {
+    const labels = { table: table || '', operation: operationOf(sql) };
+    const key = `${labels.table}\0${labels.operation}`;
+    if (!series.has(key)) {
+      series.set(key, {
+        ...labels,
+        count: 0,
+        errors: {},
+        duration: { sum: 0, count: 0, buckets: bounds.map(() => 0) }
+      });
+    }
+    return series.get(key);
+  };
+
+  const observe = (entry, duration) => {
+    entry.duration.sum += duration;
+    entry.duration.count++;
+    bounds.forEach((bound, index) => {
+      if (duration <= bound) entry.duration.buckets[index]++;
+    });
+  };
+
+  return {
+    // `details` is a query:end / query:error payload
+    recordQuery: (details, duration) => {
+      const entry = seriesFor(details);
+      entry.count++;
+      observe(entry, duration);
+    },
+
+    recordError: (details, duration, err) => {
+      const entry = seriesFor(details);
+      const code = (err && err.code) || 'UNKNOWN';
+      entry.count++;
+      entry.errors[code] = (entry.errors[code] || 0) + 1;
+      observe(entry, duration);
+    },
+
+    // Bucket counts are cumulative, as in Prometheus
+    queries: () => [...series.values()].map(({ table, operation, count, errors, duration }) => ({
+      table,
+      operation,
+      count,
+      errors: Object.values(errors).reduce((sum, n) => sum + n, 0),
+      errorsByCode: { ...errors },
+      duration: {
+        sum: duration.sum,
+        count: duration.count,
+        buckets: bounds.map((le, index) => ({ le, count: duration.buckets[index] }))
+      }
+    })),
+
+    reset: () => {
+      series = new Map();
+    }
+  };
+};
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+/**
+ * Render a db.getMetrics() snapshot in the Prometheus text exposition format
+ * (version 0.0.4). Durations are converted to seconds, as Prometheus expects.
+ */
+const toPrometheus = (snapshot, prefix = 'mysql2_helper_') => {
+  const lines = [];
+  const family = (name, type, help, samples) => {
+    lines.push(`# HELP ${prefix}${name} ${help}`, `# TYPE ${prefix}${name} ${type}`);
+    for (const [suffix, labels, value] of samples) {
+      lines.push(`${prefix}${name}${suffix}${formatLabels(labels)} ${Number.isFinite(value) ? value : 0}`);
+    }
+  };
+
+  const { queries, cache, pool } = snapshot;
+  const labelsOf = ({ table, operation }) => ({ table, operation });
+
+  family('queries_total', 'counter', 'Statements sent to the database.',
+    queries.map(entry => ['', labelsOf(entry), entry.count]));
+
+  family('query_errors_total', 'counter', 'Statements that failed, by MySQL error code.',
+    queries.flatMap(entry => Object.entries(entry.errorsByCode)
+      .map(([code, count]) => ['', { ...labelsOf(entry), code }, count])));
+
+  family('query_duration_seconds', 'histogram', 'Statement latency in seconds.',
+    queries.flatMap(entry => [
+      ...entry.duration.buckets.map(({ le, count }) => ['_bucket', { ...labelsOf(entry), le: le / 1000 }, count]),
+      ['_bucket', { ...labelsOf(entry), le: '+Inf' }, entry.duration.count],
+      ['_sum', labelsOf(entry), entry.duration.sum / 1000],
+      ['_count', labelsOf(entry), entry.duration.count]
+    ]));
+
+  family('cache_hits_total', 'counter', 'Reads answered by the query cache.', [['', {}, cache.hits]]);
+  family('cache_misses_total', 'counter', 'Cacheable reads that missed the query cache.', [['', {}, cache.misses]]);
+  family('cache_hit_ratio', 'gauge', 'Share of cacheable reads answered by the query cache.', [['', {}, cache.hitRate]]);
+
+  family('pool_connections', 'gauge', 'Pool connections by state.', [
+    ['', { state: 'active' }, pool.activeConnections],
+    ['', { state: 'free' }, pool.freeConnections],
+    ['', { state: 'total' }, pool.totalConnections]
+  ]);
+  family('pool_connection_limit', 'gauge', 'Maximum connections the pool opens.', [['', {}, pool.connectionLimit]]);
+  family('pool_queue_length', 'gauge', 'Requests waiting for a free connection.', [['', {}, pool.queueLength]]);
+  family('pool_saturation', 'gauge', 'Active connections as a share of the connection limit.', [['', {}, pool.saturation]]);
+
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  createMetrics,
+  toPrometheus,
+  operationOf
+};
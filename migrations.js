@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const { quoteIdentifier } = require('./identifiers');
+const createLogger = require('./logger');
+
+const MIGRATION_FILE = /^\d+_[\w-]+\.c?js$/;
+
+/**
+ * Migrations - Run timestamped `up`/`down` modules from a directory, record
+ * each one in a tracking table, and hold a MySQL named lock while migrating
+ * so two app instances never run migrations at once.
+ *
+ * A migration module exports `up(db)` and `down(db)`; `db` is bound to the
+ * connection holding the lock, and its transaction() runs there too. Files
+ * are named `<timestamp>_<name>.js` and run in name order.
+ */
+const createMigrator = (pool, bindDb, options = {}, log = createLogger()) => {
+  const {
+    directory = 'migrations',
+    tableName = 'migrations',
+    lockName = 'mysql2_helper_lite_migrations',
+    lockTimeout = 10 // seconds to wait for the lock
+  } = options;
+
+  const table = quoteIdentifier(tableName);
+
+  const ensureTable = async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL UNIQUE,
+        batch INT UNSIGNED NOT NULL,
+        migrated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  };
+
+  const listFiles = () => {
+    const dir = path.resolve(directory);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(file => MIGRATION_FILE.test(file)).sort();
+  };
+
+  const loadMigration = (file) => {
+    const migration = require(path.resolve(directory, file));
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${file} must export up() and down() functions`);
+    }
+    return migration;
+  };
+
+  const tableExists = async (db) => Boolean(await db.getOne(
+    'SELECT 1 AS found FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?',
+    [tableName]
+  ));
+
+  // With `create` false (status()), a missing tracking table means nothing
+  // has run yet
+  const appliedMigrations = async (db, { create = true } = {}) => {
+    if (create) {
+      await ensureTable(db);
+    } else if (!(await tableExists(db))) {
+      return [];
+    }
+    return await db.query(`SELECT id, name, batch, migrated_at FROM ${table} ORDER BY id`);
+  };
+
+  // Runs `callback` with a db bound to a connection that holds the lock;
+  // `held` keeps its transactions on that connection
+  const withLock = async (callback) => {
+    const connection = await pool.getConnection();
+    try {
+      const db = bindDb(connection, { tables: new Set(), held: true });
+      const lock = await db.getOne('SELECT GET_LOCK(?, ?) AS acquired', [lockName, lockTimeout]);
+      if (!lock || Number(lock.acquired) !== 1) {
+        throw new Error(`Could not acquire migration lock '${lockName}'; another migration may be running`);
+      }
+      try {
+        return await callback(db);
+      } finally {
+        await db.query('SELECT RELEASE_LOCK(?)', [lockName]);
+        // Migrations change columns, so cached table metadata is stale
+        await db.refreshSchema();
+      }
+    } finally {
+      connection.release();
+    }
+  };
+
+  const run = async (db, file, direction) => {
+    try {
+      await loadMigration(file)[direction](db);
+    } catch (err) {
+      log.error(`Migration ${file} (${direction}) failed`, { error: err });
+      throw err;
+    }
+  };
+
+  return {
+    // Run every pending migration as one new batch
+    latest: async () => await withLock(async (db) => {
+      const applied = await appliedMigrations(db);
+      const appliedNames = new Set(applied.map(row => row.name));
+      const pending = listFiles().filter(file => !appliedNames.has(file));
+      if (pending.length === 0) return { batch: null, migrations: [] };
+
+      const batch = Math.max(0, ...applied.map(row => row.batch)) + 1;
+      for (const file of pending) {
+        await run(db, file, 'up');
+        await db.query(`INSERT INTO ${table} (name, batch) VALUES (?, ?)`, [file, batch]);
+      }
+      return { batch, migrations: pending };
+    }),
+
+    // Undo the last `steps` batches, newest migration first
+    rollback: async (steps = 1) => await withLock(async (db) => {
+      const applied = await appliedMigrations(db);
+      const batches = [...new Set(applied.map(row => row.batch))].sort((a, b) => b - a).slice(0, steps);
+      const targets = applied.filter(row => batches.includes(row.batch)).reverse();
+
+      const available = new Set(listFiles());
+      const missing = targets.find(row => !available.has(row.name));
+      if (missing) {
+        throw new Error(`Cannot roll back ${missing.name}: migration file not found`);
+      }
+
+      for (const row of targets) {
+        await run(db, row.name, 'down');
+        await db.query(`DELETE FROM ${table} WHERE id = ?`, [row.id]);
+      }
+      return { batches, migrations: targets.map(row => row.name) };
+    }),
+
+    // Every known migration with whether (and when) it ran; applied
+    // migrations whose file is gone are reported as `missing`. Read from
+    // the writer, which replica lag can't leave behind.
+    status: async () => {
+      const applied = await appliedMigrations(bindDb(pool).primary(), { create: false });
+      const byName = new Map(applied.map(row => [row.name, row]));
+      const files = listFiles();
+
+      const known = files.map(name => {
+        const row = byName.get(name);
+        return {
+          name,
+          applied: Boolean(row),
+          batch: row ? row.batch : null,
+          migratedAt: row ? row.migrated_at : null,
+          missing: false
+        };
+      });
+      const missing = applied
+        .filter(row => !files.includes(row.name))
+        .map(row => ({ name: row.name, applied: true, batch: row.batch, migratedAt: row.migrated_at, missing: true }));
+
+      return [...known, ...missing].sort((a, b) => a.name.localeCompare(b.name));
+    }
+  };
+};
+
+module.exports = createMigrator;
@@ -0,0 +1,170 @@
+const { ValidationError } = require('./errors');
+
+const RELATION_TYPES = ['hasOne', 'hasMany', 'belongsTo', 'belongsToMany'];
+
+// Casts turn stored values into JS values on read and back on write
+const CASTS = {
+  boolean: {
+    read: (value) => (Buffer.isBuffer(value) ? value[0] === 1 : Boolean(Number(value))),
+    write: (value) => (value ? 1 : 0)
+  },
+  number: {
+    read: Number,
+    write: Number
+  },
+  string: {
+    read: String,
+    write: String
+  },
+  json: {
+    read: (value) => (typeof value === 'string' ? JSON.parse(value) : value),
+    write: (value) => (typeof value === 'string' ? value : JSON.stringify(value))
+  },
+  date: {
+    read: (value) => (value instanceof Date ? value : new Date(value)),
+    write: (value) => (value instanceof Date ? value : new Date(value))
+  }
+};
+
+const validateDefinition = (table, { relations = {}, casts = {} }) => {
+  for (const [name, relation] of Object.entries(relations)) {
+    const { type, table: target, foreignKey, pivot } = relation || {};
+    if (!RELATION_TYPES.includes(type)) {
+      throw new Error(`Relation '${name}' on model '${table}' has unsupported type: ${type}`);
+    }
+    if (!target) {
+      throw new Error(`Relation '${name}' on model '${table}' requires a table`);
+    }
+    if (type === 'belongsToMany' ? !pivot : !foreignKey) {
+      throw new Error(`Relation '${name}' on model '${table}' requires ${type === 'belongsToMany' ? 'a pivot' : 'a foreignKey'}`);
+    }
+  }
+
+  for (const [column, cast] of Object.entries(casts)) {
+    if (!CASTS[cast]) {
+      throw new Error(`Unsupported cast '${cast}' for column '${table}.${column}'`);
+    }
+  }
+};
+
+/**
+ * Model - A table's conventions (primary key, soft deletes, relations, hooks
+ * and casts) bound once, in front of the existing db helpers
+ */
+const createModel = (db, table, definition = {}) => {
+  validateDefinition(table, definition);
+
+  const {
+    primaryKey = 'id',
+    softDelete = false,
+    relations = {},
+    hooks = {},
+    casts = {}
+  } = definition;
+
+  const applyCasts = (data, direction) => {
+    if (!data) return data;
+    const result = { ...data };
+    for (const [column, cast] of Object.entries(casts)) {
+      if (result[column] !== null && result[column] !== undefined) {
+        result[column] = CASTS[cast][direction](result[column]);
+      }
+    }
+    return result;
+  };
+
+  const castRow = (row) => applyCasts(row, 'read');
+  const castData = (data) => applyCasts(data, 'write');
+
+  // Re-reads a record just written from the writer, not a lagging replica
+  const reload = async (id) => castRow(await db.primary().findOne(table, { [primaryKey]: id }));
+
+  // Model hooks may return a replacement value; returning nothing keeps it
+  const runHook = async (name, value, ...args) => {
+    if (!hooks[name]) return value;
+    const result = await hooks[name](value, ...args);
+    return result === undefined ? value : result;
+  };
+
+  const model = {
+    table,
+    primaryKey,
+
+    // `options.with` eager-loads relations, as in db.findOne / db.selectWhere
+    find: async (id, options = {}) => castRow(await db.findOne(table, { [primaryKey]: id }, options)),
+
+    findOne: async (conditions = {}, options = {}) => castRow(await db.findOne(table, conditions, options)),
+
+    where: async (conditions = {}, options = {}) =>
+      (await db.selectWhere(table, conditions, options)).map(castRow),
+
+    count: (conditions = {}) => db.count(table, conditions),
+
+    paginate: async (options = {}) => {
+      const result = await db.paginate(table, options);
+      return { ...result, data: result.data.map(castRow) };
+    },
+
+    create: async (data = {}) => {
+      const prepared = await runHook('beforeCreate', data);
+      const id = await db.insert(table, castData(prepared), primaryKey);
+      const record = await reload(id);
+      await runHook('afterCreate', record);
+      return record;
+    },
+
+    update: async (id, data = {}) => {
+      const prepared = await runHook('beforeUpdate', data, id);
+      await db.updateById(table, id, castData(prepared), primaryKey);
+      const record = await reload(id);
+      await runHook('afterUpdate', record);
+      return record;
+    },
+
+    delete: async (id) => {
+      await runHook('beforeDelete', id);
+      await db.deleteById(table, id, softDelete, primaryKey);
+      await runHook('afterDelete', id);
+    },
+
+    restore: async (id) => {
+      await db.restore(table, id, primaryKey);
+      return await reload(id);
+    },
+
+    clone: async (id, overrides = {}) =>
+      castRow(await db.clone(table, id, castData(overrides), primaryKey)),
+
+    // Records of a relation declared in `relations`, for a record or its key
+    related: async (recordOrId, name) => {
+      const relation = relations[name];
+      if (!relation) {
+        throw new ValidationError(`Unknown relation '${name}' on model '${table}'`);
+      }
+
+      const record = recordOrId && typeof recordOrId === 'object'
+        ? recordOrId
+        : await model.find(recordOrId);
+      if (!record) return null;
+
+      const { type, table: target, foreignKey, pivot, columns = ['*'] } = relation;
+      switch (type) {
+        case 'hasOne':
+          return await db.hasOne(table, target, record[primaryKey], foreignKey, columns);
+        case 'hasMany':
+          return await db.hasMany(table, target, record[primaryKey], foreignKey, columns);
+        case 'belongsTo':
+          return await db.belongsTo(table, target, record[foreignKey], foreignKey, columns);
+        default:
+          return await db.belongsToMany(table, target, pivot, record[primaryKey], columns);
+      }
+    },
+
+    // Chainable query builder on the model's table
+    query: () => db.table(table)
+  };
+
+  return model;
+};
+
+module.exports = createModel;
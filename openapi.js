@@ -0,0 +1,279 @@
+const { columnRules } = require('./schema');
+
+// Tables whose routes each app serves, in the order they were generated
+const registry = new WeakMap();
+
+/**
+ * Record the routes createCrudRoutes mounted for a table: `{ table,
+ * operations, primaryKey, perPage, maxPerPage, maxBulk, hardDelete,
+ * readable, readOnly, columns(), bodySchema() }`. `columns()` resolves the
+ * table's column metadata; `bodySchema()` the create schema, or null when
+ * bodies aren't validated.
+ */
+const registerTable = (app, entry) => {
+  if (!registry.has(app)) registry.set(app, []);
+  const entries = registry.get(app).filter(existing => existing.table !== entry.table);
+  registry.set(app, [...entries, entry]);
+};
+
+// users -> Users, order_items -> OrderItems
+const schemaName = (table) => table.split(/[^A-Za-z0-9]+/).filter(Boolean)
+  .map(part => part[0].toUpperCase() + part.slice(1)).join('');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const responseRef = (name) => ({ $ref: `#/components/responses/${name}` });
+const json = (schema) => ({ 'application/json': { schema } });
+
+const COMMON_SCHEMAS = {
+  Error: {
+    type: 'object',
+    properties: {
+      error: { type: 'string' },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            index: { type: 'integer', description: 'Row of a bulk request' },
+            field: { type: ['string', 'null'] },
+            message: { type: 'string' }
+          }
+        }
+      }
+    },
+    required: ['error']
+  },
+  Pagination: {
+    type: 'object',
+    properties: {
+      total: { type: 'integer' },
+      page: { type: 'integer' },
+      perPage: { type: 'integer' },
+      totalPages: { type: 'integer' },
+      hasNext: { type: 'boolean' },
+      hasPrev: { type: 'boolean' }
+    }
+  },
+  CursorPagination: {
+    type: 'object',
+    properties: {
+      perPage: { type: 'integer' },
+      nextCursor: { description: 'Pass as `cursor` for the next page; null on the last one' },
+      hasMore: { type: 'boolean' }
+    }
+  }
+};
+
+const COMMON_RESPONSES = {
+  NotFound: { description: 'No such row', content: json(ref('Error')) },
+  Invalid: { description: 'Malformed query or request body', content: json(ref('Error')) },
+  Conflict: { description: 'Unique or foreign key constraint violated', content: json(ref('Error')) }
+};
+
+const FILTER_PARAMETER = {
+  name: 'filter',
+  in: 'query',
+  description: 'Filters as `filter[column]=value` or `filter[column][op]=value`; op is eq, ne, gt, gte, lt, lte, like, ' +
+    'in, nin, between (comma-separated values) or null (true / false). A bare `column=value` filters by equality.',
+  style: 'deepObject',
+  explode: true,
+  schema: { type: 'object', additionalProperties: true }
+};
+
+// The row a response holds: every readable column, read-only ones marked
+const rowSchema = (columns, { readable, readOnly }) => {
+  const properties = {};
+  for (const [name, column] of columns) {
+    if (readable && !readable.includes(name)) continue;
+    const rules = columnRules(column);
+    if (readOnly.includes(name) || column.extra.includes('auto_increment')) rules.readOnly = true;
+    properties[name] = rules;
+  }
+  return { type: 'object', properties };
+};
+
+// Body schemas for creates and replaces (the required fields) and updates
+// (any field)
+const bodySchemas = (body) => {
+  if (!body) {
+    const open = { type: 'object', additionalProperties: true };
+    return { create: open, replace: open, update: open };
+  }
+  const properties = body.properties || {};
+  return {
+    create: { type: 'object', properties, required: body.required || [] },
+    replace: { type: 'object', properties, required: body.required || [] },
+    update: { type: 'object', properties, minProperties: 1 }
+  };
+};
+
+// Paths and component schemas of one table's routes
+const describeTable = async (entry) => {
+  const { table, operations, primaryKey, perPage, maxPerPage, maxBulk, hardDelete } = entry;
+  const name = schemaName(table);
+  const columns = await entry.columns();
+  const row = rowSchema(columns, entry);
+  const bodies = bodySchemas(await entry.bodySchema());
+  const has = (operation) => operations.includes(operation);
+
+  const schemas = {
+    [name]: row,
+    [`${name}Create`]: bodies.create,
+    [`${name}Replace`]: bodies.replace,
+    [`${name}Update`]: bodies.update
+  };
+
+  const idParameter = {
+    name: primaryKey,
+    in: 'path',
+    required: true,
+    schema: row.properties[primaryKey] ? { type: row.properties[primaryKey].type } : { type: 'string' }
+  };
+  const operation = (id, summary, details) => ({ tags: [table], operationId: `${id}${name}`, summary, ...details });
+  const rowResponse = (description) => ({ description, content: json(ref(name)) });
+
+  const collection = {};
+  const item = {};
+
+  if (has('list')) {
+    collection.get = operation('list', `List ${table}`, {
+      parameters: [
+        FILTER_PARAMETER,
+        { name: 'sort', in: 'query', description: 'Comma-separated columns; a leading `-` sorts descending', schema: { type: 'string' } },
+        { name: 'fields', in: 'query', description: 'Comma-separated columns to return', schema: { type: 'string' } },
+        { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+        { name: 'perPage', in: 'query', schema: { type: 'integer', minimum: 1, maximum: maxPerPage, default: perPage } },
+        {
+          name: 'cursor',
+          in: 'query',
+          description: 'Cursor pagination instead of `page`: empty for the first page, then the previous `nextCursor`',
+          schema: { type: 'string' }
+        }
+      ],
+      responses: {
+        200: {
+          description: `A page of ${table}`,
+          headers: { Link: { description: 'RFC 8288 links to the first, prev, next and last pages', schema: { type: 'string' } } },
+          content: json({
+            type: 'object',
+            properties: {
+              data: { type: 'array', items: ref(name) },
+              pagination: { oneOf: [ref('Pagination'), ref('CursorPagination')] }
+            }
+          })
+        },
+        422: responseRef('Invalid')
+      }
+    });
+  }
+
+  if (has('create')) {
+    collection.post = operation('create', `Create a ${table} row`, {
+      requestBody: { required: true, content: json(ref(`${name}Create`)) },
+      responses: {
+        201: { description: 'Created', content: json({ type: 'object', properties: { id: idParameter.schema } }) },
+        409: responseRef('Conflict'),
+        422: responseRef('Invalid')
+      }
+    });
+  }
+
+  if (has('get')) {
+    item.get = operation('get', `Get a ${table} row`, {
+      responses: { 200: rowResponse(`The ${table} row`), 404: responseRef('NotFound') }
+    });
+  }
+
+  const update = (id, summary, body) => operation(id, summary, {
+    requestBody: { required: true, content: json(ref(body)) },
+    responses: {
+      200: rowResponse(`The updated ${table} row`),
+      404: responseRef('NotFound'),
+      409: responseRef('Conflict'),
+      422: responseRef('Invalid')
+    }
+  });
+  if (has('replace')) item.put = update('replace', `Replace a ${table} row`, `${name}Replace`);
+  if (has('update')) item.patch = update('update', `Update fields of a ${table} row`, `${name}Update`);
+
+  if (has('delete')) {
+    item.delete = operation('delete', hardDelete ? `Delete a ${table} row` : `Soft-delete a ${table} row`, {
+      responses: {
+        200: { description: 'Deleted', content: json({ type: 'object', properties: { success: { type: 'boolean' } } }) },
+        404: responseRef('NotFound'),
+        409: responseRef('Conflict')
+      }
+    });
+  }
+
+  const paths = {};
+  const base = `/${table}`;
+  const itemPath = `${base}/{${primaryKey}}`;
+
+  if (Object.keys(collection).length > 0) paths[base] = collection;
+
+  if (has('count')) {
+    paths[`${base}/count`] = {
+      get: operation('count', `Count ${table}`, {
+        parameters: [FILTER_PARAMETER],
+        responses: {
+          200: { description: 'Matching rows', content: json({ type: 'object', properties: { count: { type: 'integer' } } }) },
+          422: responseRef('Invalid')
+        }
+      })
+    };
+  }
+
+  if (has('bulkCreate')) {
+    paths[`${base}/bulk`] = {
+      post: operation('bulkCreate', `Create ${table} rows in one transaction`, {
+        requestBody: { required: true, content: json({ type: 'array', items: ref(`${name}Create`), minItems: 1, maxItems: maxBulk }) },
+        responses: {
+          201: { description: 'The created rows', content: json({ type: 'array', items: ref(name) }) },
+          409: responseRef('Conflict'),
+          422: responseRef('Invalid')
+        }
+      })
+    };
+  }
+
+  if (Object.keys(item).length > 0) paths[itemPath] = { parameters: [idParameter], ...item };
+
+  if (has('restore') && !hardDelete) {
+    paths[`${itemPath}/restore`] = {
+      parameters: [idParameter],
+      post: operation('restore', `Restore a soft-deleted ${table} row`, {
+        responses: { 200: rowResponse(`The restored ${table} row`), 404: responseRef('NotFound') }
+      })
+    };
+  }
+
+  return { paths, schemas };
+};
+
+/**
+ * OpenAPI 3.1 document for every table whose routes were mounted on `app`
+ * (the app, router or http listener an adapter was given), built from their
+ * column metadata. `info` defaults to `{ title: 'API', version: '1.0.0' }`.
+ */
+const openApiDocument = async (app, info = {}) => {
+  const document = {
+    openapi: '3.1.0',
+    info: { title: 'API', version: '1.0.0', ...info },
+    paths: {},
+    components: { schemas: { ...COMMON_SCHEMAS }, responses: { ...COMMON_RESPONSES } }
+  };
+
+  for (const entry of registry.get(app) || []) {
+    const { paths, schemas } = await describeTable(entry);
+    Object.assign(document.paths, paths);
+    Object.assign(document.components.schemas, schemas);
+  }
+
+  return document;
+};
+
+module.exports = {
+  registerTable,
+  openApiDocument
+};
@@ -0,0 +1,274 @@
+const { compileConditions } = require('./conditions');
+const { createColumnResolver, normalizeDirection, toLimit } = require('./identifiers');
+const { ValidationError } = require('./errors');
+
+const COMPARISON_OPERATORS = ['=', '!=', '<>', '<', '<=', '>', '>=', 'LIKE', 'NOT LIKE'];
+
+/**
+ * Chainable query builder - Combine filters, sorting and limits into one
+ * parameterized SELECT that runs through db.query
+ *
+ * Column names are escaped as they are chained; `resolveColumns()` supplies
+ * the schema-checked resolver the terminal methods validate them against.
+ * toSQL() only checks the syntax, as it never touches the database.
+ * Reads go through `watchRead(context, read, details)`, which runs the db's
+ * select hooks; conditions a before-listener sets are ANDed onto the
+ * chained ones.
+ */
+const createQueryBuilder = (db, table, options = {}) => {
+  const {
+    trashedFilter = () => '',
+    resolveColumns = async () => createColumnResolver(table, { [table]: null }),
+    watchRead = async (context, read) => await read(context)
+  } = options;
+
+  // Quotes without a schema; qualified names must still name this table
+  const syntax = createColumnResolver(table, { [table]: null });
+
+  const state = {
+    columns: ['*'],
+    references: new Set(),
+    wheres: [],
+    trashed: undefined,
+    orderBy: [],
+    limit: null,
+    offset: null,
+    useCache: false
+  };
+
+  const quoteColumn = (column) => {
+    const sql = syntax.column(column);
+    state.references.add(column);
+    return sql;
+  };
+
+  const addWhere = (boolean, sql, params = []) => {
+    state.wheres.push({ boolean, sql, params });
+    return builder;
+  };
+
+  const joinWheres = (wheres) => wheres
+    .map((w, index) => (index === 0 ? w.sql : `${w.boolean} ${w.sql}`))
+    .join(' ');
+
+  // where(q => q.where(...).orWhere(...)) collects the callback's conditions
+  // into one parenthesized group
+  const compileGroup = (boolean, callback) => {
+    const outer = state.wheres;
+    state.wheres = [];
+    try {
+      callback(builder);
+    } finally {
+      const group = state.wheres;
+      state.wheres = outer;
+      if (group.length > 0) {
+        addWhere(boolean, `(${joinWheres(group)})`, group.flatMap(w => w.params));
+      }
+    }
+    return builder;
+  };
+
+  const compileWhere = (boolean, args) => {
+    const [column, operatorOrValue, maybeValue] = args;
+
+    if (typeof column === 'function') return compileGroup(boolean, column);
+
+    if (typeof column === 'object' && column !== null) {
+      const { sql, params } = compileConditions(column, { resolveColumn: quoteColumn });
+      if (!sql) return builder;
+      return addWhere(boolean, boolean === 'OR' ? `(${sql})` : sql, params);
+    }
+
+    const hasOperator = args.length === 3;
+    const operator = hasOperator ? String(operatorOrValue).toUpperCase() : '=';
+    const value = hasOperator ? maybeValue : operatorOrValue;
+
+    if (!COMPARISON_OPERATORS.includes(operator)) {
+      throw new ValidationError(`Unsupported operator: ${operatorOrValue}`);
+    }
+
+    // `= NULL` matches nothing in SQL; compare with IS like conditions do
+    if (value === null && ['=', '!=', '<>'].includes(operator)) {
+      return addWhere(boolean, `${quoteColumn(column)} ${operator === '=' ? 'IS NULL' : 'IS NOT NULL'}`);
+    }
+
+    return addWhere(boolean, `${quoteColumn(column)} ${operator} ?`, [value]);
+  };
+
+  // `conditions` are the ones select hooks added
+  const buildWhere = (conditions = {}) => {
+    const trashed = trashedFilter(state.trashed);
+    const hooked = compileConditions(conditions, { resolveColumn: syntax.column });
+    const clauses = [];
+
+    if (state.wheres.length > 0) {
+      const clause = joinWheres(state.wheres);
+      const hasOr = state.wheres.some(w => w.boolean === 'OR');
+      clauses.push(hasOr && (hooked.sql || trashed) ? `(${clause})` : clause);
+    }
+    if (hooked.sql) clauses.push(hooked.sql);
+    if (trashed) clauses.push(trashed);
+
+    return {
+      clause: clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '',
+      params: [...state.wheres.flatMap(w => w.params), ...hooked.params]
+    };
+  };
+
+  const buildSelect = (overrides = {}) => {
+    const { limit = state.limit, offset = state.offset, conditions } = overrides;
+    const { clause, params } = buildWhere(conditions);
+
+    let sql = `SELECT ${syntax.select(state.columns)} FROM \`${table}\`${clause}`;
+
+    if (state.orderBy.length > 0) {
+      sql += ` ORDER BY ${syntax.orderBy(state.orderBy)}`;
+    }
+
+    if (limit !== null) sql += ` LIMIT ${limit}`;
+    if (offset) sql += ` OFFSET ${offset}`;
+
+    return { sql, params };
+  };
+
+  const countWhere = async (conditions) => {
+    const { clause, params } = buildWhere(conditions);
+    const result = await db.getOne(`SELECT COUNT(*) as count FROM \`${table}\`${clause}`, params, state.useCache);
+    return result ? result.count : 0;
+  };
+
+  // Runs a read through the select hooks; `read(conditions)` gets the
+  // conditions the before-listeners settled on
+  const hookedRead = (method, overrides, read, details) => {
+    const { sql, params } = buildSelect(overrides);
+    return watchRead({ method, sql, params, conditions: {} }, async (context) => await read(context.conditions), details);
+  };
+
+  const selectRows = async (conditions, overrides = {}) => {
+    const { sql, params } = buildSelect({ ...overrides, conditions });
+    return await db.query(sql, params, state.useCache);
+  };
+
+  // Checks every chained column against the table's real columns
+  const assertColumns = async () => {
+    const resolver = await resolveColumns();
+    resolver.select(state.columns);
+    resolver.orderBy(state.orderBy);
+    state.references.forEach(resolver.column);
+  };
+
+  const builder = {
+    select: (...columns) => {
+      const list = columns.flat();
+      syntax.select(list);
+      state.columns = list.length > 0 ? list : ['*'];
+      return builder;
+    },
+
+    where: (...args) => compileWhere('AND', args),
+
+    orWhere: (...args) => compileWhere('OR', args),
+
+    whereIn: (column, values = []) => {
+      if (!Array.isArray(values) || values.length === 0) return addWhere('AND', '1 = 0');
+      return addWhere('AND', `${quoteColumn(column)} IN (${values.map(() => '?').join(', ')})`, values);
+    },
+
+    whereNotIn: (column, values = []) => {
+      if (!Array.isArray(values) || values.length === 0) return builder;
+      return addWhere('AND', `${quoteColumn(column)} NOT IN (${values.map(() => '?').join(', ')})`, values);
+    },
+
+    whereBetween: (column, min, max) =>
+      addWhere('AND', `${quoteColumn(column)} BETWEEN ? AND ?`, [min, max]),
+
+    whereNotBetween: (column, min, max) =>
+      addWhere('AND', `${quoteColumn(column)} NOT BETWEEN ? AND ?`, [min, max]),
+
+    whereNull: (column) => addWhere('AND', `${quoteColumn(column)} IS NULL`),
+
+    whereNotNull: (column) => addWhere('AND', `${quoteColumn(column)} IS NOT NULL`),
+
+    whereLike: (column, value) => addWhere('AND', `${quoteColumn(column)} LIKE ?`, [value]),
+
+    withTrashed: () => {
+      state.trashed = 'include';
+      return builder;
+    },
+
+    onlyTrashed: () => {
+      state.trashed = 'only';
+      return builder;
+    },
+
+    orderBy: (column, direction = 'ASC') => {
+      const entry = { column, direction: normalizeDirection(direction) };
+      syntax.orderBy(entry);
+      state.orderBy.push(entry);
+      return builder;
+    },
+
+    limit: (count) => {
+      state.limit = toLimit(count, 'limit');
+      return builder;
+    },
+
+    offset: (count) => {
+      state.offset = toLimit(count, 'offset');
+      return builder;
+    },
+
+    cache: (enabled = true) => {
+      state.useCache = enabled;
+      return builder;
+    },
+
+    toSQL: () => buildSelect(),
+
+    get: async () => {
+      await assertColumns();
+      return await hookedRead('get', {}, (conditions) => selectRows(conditions));
+    },
+
+    first: async () => {
+      await assertColumns();
+      const rows = await hookedRead('first', { limit: 1 }, (conditions) => selectRows(conditions, { limit: 1 }));
+      return rows[0] || null;
+    },
+
+    count: async () => {
+      await assertColumns();
+      return await hookedRead('count', {}, countWhere, (count) => ({ count }));
+    },
+
+    // One read, so the total counts the rows the page is taken from
+    paginate: async (page = 1, perPage = 20) => {
+      const currentPage = toLimit(page, 'page') || 1;
+      const size = toLimit(perPage, 'perPage') || 20;
+      const window = { limit: size, offset: (currentPage - 1) * size };
+
+      await assertColumns();
+      return await hookedRead('paginate', window, async (conditions) => {
+        const total = await countWhere(conditions);
+        const data = await selectRows(conditions, window);
+        const totalPages = Math.ceil(total / size);
+
+        return {
+          data,
+          pagination: {
+            total,
+            page: currentPage,
+            perPage: size,
+            totalPages,
+            hasNext: currentPage < totalPages,
+            hasPrev: currentPage > 1
+          }
+        };
+      }, ({ data }) => ({ rows: data }));
+    }
+  };
+
+  return builder;
+};
+
+module.exports = createQueryBuilder;
@@ -0,0 +1,106 @@
+const createLogger = require('./logger');
+const { CONNECTION_ERRORS } = require('./retry');
+
+const READ_STATEMENT = /^\s*\(?\s*(SELECT|SHOW|DESCRIBE|DESC|EXPLAIN|WITH)\b/i;
+const COMMON_TABLE_EXPRESSION = /^\s*\(?\s*WITH\b/i;
+const DATA_CHANGE = /\b(INSERT|UPDATE|DELETE|REPLACE)\b/i;
+const LOCKING_READ = /\bFOR\s+(UPDATE|SHARE)\b|\bLOCK\s+IN\s+SHARE\s+MODE\b|\b(GET_LOCK|RELEASE_LOCK|RELEASE_ALL_LOCKS|IS_USED_LOCK|IS_FREE_LOCK)\s*\(|\bINTO\s+(OUTFILE|DUMPFILE|@)/i;
+
+// Plain reads can run on a replica; locking reads, lock functions and
+// anything else go to the writer. `WITH ...` counts as a read unless it
+// feeds an UPDATE or DELETE.
+const isReadStatement = (sql) => READ_STATEMENT.test(sql)
+  && !LOCKING_READ.test(sql)
+  && !(COMMON_TABLE_EXPRESSION.test(sql) && DATA_CHANGE.test(sql));
+
+/**
+ * Read replicas - Balance reads over reader pools and keep them on the
+ * writer for `stickyWindow` ms after a write, so a client reads its own
+ * writes. Replicas whose health check fails leave the rotation until a later
+ * check passes; `probe(pool)` resolves to a db.healthCheck() result.
+ */
+const createReplicaSet = (writer, options = {}, probe = null, log = createLogger()) => {
+  const {
+    pools = [],
+    strategy = 'round-robin',         // or 'random'
+    stickyWindow = 0,                 // ms after a write that reads stay on the writer
+    healthCheckInterval = 30000       // ms between health checks; 0 disables them
+  } = options;
+
+  if (!['round-robin', 'random'].includes(strategy)) {
+    throw new Error(`Unsupported replica strategy: ${strategy}`);
+  }
+
+  const replicas = pools.map((pool, index) => ({ pool, index, healthy: true, error: null, checkedAt: null }));
+  let cursor = 0;
+  let lastWriteAt = 0;
+
+  const markUnhealthy = (replica, err) => {
+    replica.healthy = false;
+    replica.error = err.message;
+    log.warn(`Read replica ${replica.index} left the rotation`, { error: err.message });
+  };
+
+  // A replica, or null when reads should stay on the writer
+  const pick = () => {
+    if (stickyWindow && Date.now() - lastWriteAt < stickyWindow) return null;
+    const healthy = replicas.filter(replica => replica.healthy);
+    if (healthy.length === 0) return null;
+    if (strategy === 'random') return healthy[Math.floor(Math.random() * healthy.length)];
+    cursor = (cursor + 1) % healthy.length;
+    return healthy[cursor];
+  };
+
+  const check = async () => {
+    await Promise.all(replicas.map(async (replica) => {
+      const result = await probe(replica.pool);
+      replica.checkedAt = result.timestamp;
+      if (result.status === 'healthy') {
+        replica.healthy = true;
+        replica.error = null;
+      } else if (replica.healthy) {
+        markUnhealthy(replica, new Error(result.error));
+      }
+    }));
+  };
+
+  const timer = replicas.length > 0 && probe && healthCheckInterval
+    ? setInterval(() => check().catch(err => log.warn('Replica health check failed', { error: err })), healthCheckInterval)
+    : null;
+  if (timer && timer.unref) timer.unref();
+
+  return {
+    // Runs a read on a replica; when the replica can't be reached it leaves
+    // the rotation and the read runs on the writer instead
+    execute: async (sql, params) => {
+      const replica = pick();
+      if (!replica) return await writer.execute(sql, params);
+      try {
+        return await replica.pool.execute(sql, params);
+      } catch (err) {
+        // An unreachable replica, not a bad query: the writer answers instead
+        if (!CONNECTION_ERRORS.includes(err.code)) throw err;
+        markUnhealthy(replica, err);
+        return await writer.execute(sql, params);
+      }
+    },
+
+    markWrite: () => {
+      lastWriteAt = Date.now();
+    },
+
+    check,
+
+    // Stops the health check timer
+    close: () => {
+      if (timer) clearInterval(timer);
+    },
+
+    status: () => replicas.map(({ index, healthy, error, checkedAt }) => ({ index, healthy, error, checkedAt }))
+  };
+};
+
+module.exports = {
+  createReplicaSet,
+  isReadStatement
+};
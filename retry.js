@@ -0,0 +1,56 @@
+const createLogger = require('./logger');
+
+const LOCK_ERRORS = ['ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT'];
+// The server is unreachable or dropped the connection; replicas.js takes a
+// replica out of rotation on the same errors
+const CONNECTION_ERRORS = [
+  'PROTOCOL_CONNECTION_LOST', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EHOSTUNREACH', 'ER_CON_COUNT_ERROR'
+];
+
+/**
+ * Whether `err` is worth another attempt. MySQL rolls back a statement that
+ * hit a deadlock or lock wait timeout, so it can always run again. After a
+ * lost connection a write may or may not have been applied, so connection
+ * errors only retry `safe` work: reads, or a transaction that never reached
+ * COMMIT.
+ */
+const isRetryable = (err, { safe = false } = {}) => {
+  const code = err && err.code;
+  return LOCK_ERRORS.includes(code) || (safe && CONNECTION_ERRORS.includes(code));
+};
+
+// Exponential backoff; with jitter the wait is drawn from its upper half so
+// clients that collided don't retry in lockstep
+const retryDelay = (attempt, options = {}) => {
+  const { minDelay = 50, maxDelay = 2000, factor = 2, jitter = true } = options;
+  const delay = Math.min(maxDelay, minDelay * Math.pow(factor, attempt - 1));
+  return Math.round(jitter ? delay / 2 + Math.random() * (delay / 2) : delay);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run `fn` and re-run it up to `options.retries` times while
+ * `shouldRetry(err)` says the failure was transient
+ */
+const withRetry = async (fn, options = {}, shouldRetry = isRetryable, log = createLogger()) => {
+  const { retries = 0 } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt > retries || !shouldRetry(err)) throw err;
+      const delay = retryDelay(attempt, options);
+      log.warn(`Retrying after ${err.code}`, { attempt, retries, delay });
+      await sleep(delay);
+    }
+  }
+};
+
+module.exports = {
+  CONNECTION_ERRORS,
+  isRetryable,
+  retryDelay,
+  withRetry
+};
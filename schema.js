@@ -0,0 +1,118 @@
+const { ValidationError } = require('./errors');
+
+const INTEGER_TYPE = /^(tinyint|smallint|mediumint|int|integer|bigint|bit|bool|boolean)\b/;
+const DATE_TYPE = /^(date|datetime|timestamp)\b/;
+const JSON_TYPE = /^json\b/;
+const ISO_DATETIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+const BOOLEAN_TYPE = /^(tinyint\(1\)|bool\b|boolean\b)/;
+const NUMBER_TYPE = /^(decimal|numeric|float|double|real)\b/;
+const STRING_TYPE = /^(char|varchar|binary|varbinary|tinytext|text|mediumtext|longtext|tinyblob|blob|mediumblob|longblob|set|time)\b/;
+const GENERATED_COLUMN = /\b(virtual|stored) generated\b/i;
+// Defaults MySQL computes (CURRENT_TIMESTAMP, expressions) rather than stores
+const COMPUTED_DEFAULT = /^current_timestamp\b|^now\(|^\(/i;
+
+/**
+ * Column metadata from `DESCRIBE` rows, keyed by column name:
+ *   { type, nullable, key, default, extra }
+ */
+const describeColumns = (rows = []) => new Map(rows.map(row => [row.Field, {
+  type: String(row.Type).toLowerCase(),
+  nullable: row.Null === 'YES',
+  key: row.Key || '',
+  default: row.Default === undefined ? null : row.Default,
+  extra: row.Extra || ''
+}]));
+
+const toDate = (name, value) => {
+  if (value instanceof Date) return value;
+  if (typeof value !== 'number' && !(typeof value === 'string' && ISO_DATETIME.test(value))) return value;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid date for column '${name}': ${value}`);
+  }
+  return date;
+};
+
+/**
+ * Coerce a value to what MySQL expects for the column: booleans become 1/0
+ * for integer columns, timestamps and ISO strings become Dates for date
+ * columns, and anything but a string is JSON-encoded for JSON columns
+ */
+const castValue = (name, column, value) => {
+  if (value === null || value === undefined) return value;
+
+  if (INTEGER_TYPE.test(column.type)) {
+    return typeof value === 'boolean' ? Number(value) : value;
+  }
+  if (DATE_TYPE.test(column.type)) return toDate(name, value);
+  if (JSON_TYPE.test(column.type)) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+  return value;
+};
+
+// Validation rules for one column: its JSON type, length, values and format
+const columnRules = (column) => {
+  const { type } = column;
+  const rules = {};
+
+  if (BOOLEAN_TYPE.test(type)) {
+    rules.type = ['boolean', 'integer'];
+  } else if (INTEGER_TYPE.test(type)) {
+    rules.type = ['integer'];
+    if (/\bunsigned\b/.test(type)) rules.minimum = 0;
+  } else if (NUMBER_TYPE.test(type)) {
+    rules.type = ['number'];
+  } else if (/^enum\(/.test(type)) {
+    rules.type = ['string'];
+    rules.enum = [...type.matchAll(/'((?:[^']|'')*)'/g)].map(([, value]) => value.replace(/''/g, "'"));
+  } else if (DATE_TYPE.test(type)) {
+    rules.type = ['string'];
+    rules.format = type.startsWith('datetime') || type.startsWith('timestamp') ? 'date-time' : 'date';
+  } else if (STRING_TYPE.test(type)) {
+    rules.type = ['string'];
+    const length = /^(?:var)?char\((\d+)\)/.exec(type);
+    if (length) rules.maxLength = Number(length[1]);
+  }
+
+  if (rules.type && column.nullable) rules.type.push('null');
+  return rules;
+};
+
+// A column's literal default as the JSON value a body would carry, or
+// undefined when it has none or MySQL computes it
+const defaultValue = (column, rules) => {
+  const value = column.default;
+  if (value === null || /\bdefault_generated\b/i.test(column.extra) || COMPUTED_DEFAULT.test(value)) return undefined;
+  if (!(rules.type || []).some(type => type === 'integer' || type === 'number')) return value;
+  // bit defaults such as b'1' aren't plain numbers
+  return Number.isNaN(Number(value)) ? undefined : Number(value);
+};
+
+/**
+ * JSON-Schema-style object schema for writes to a table, from its column
+ * metadata. Auto-increment and generated columns and the `exclude`d ones are
+ * left out; NOT NULL columns without a default are required, and literal
+ * defaults are each property's `default`.
+ */
+const toJsonSchema = (columns, { exclude = [] } = {}) => {
+  const properties = {};
+  const required = [];
+
+  for (const [name, column] of columns) {
+    if (exclude.includes(name) || column.extra.includes('auto_increment') || GENERATED_COLUMN.test(column.extra)) continue;
+    const rules = columnRules(column);
+    const fallback = defaultValue(column, rules);
+    properties[name] = fallback === undefined ? rules : { ...rules, default: fallback };
+    if (!column.nullable && column.default === null) required.push(name);
+  }
+
+  return { type: 'object', properties, required };
+};
+
+module.exports = {
+  describeColumns,
+  castValue,
+  columnRules,
+  toJsonSchema
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const createLogger = require('./logger');
+
+const SEED_FILE = /^[\w-]+\.c?js$/;
+
+/**
+ * Seeders - Run the seed scripts in a directory in name order, each in its
+ * own transaction, to fill dev and test databases.
+ *
+ * A seed module exports `run(db)`; `db` is bound to the seed's transaction,
+ * so ids returned by `db.bulkInsertAndReturn()` or `db.factory()` can feed
+ * the child rows of the same script. Prefix files with a number
+ * (`01_users.js`, `02_posts.js`) to control the order.
+ */
+const createSeeder = (pool, bindDb, options = {}, log = createLogger()) => {
+  const { directory = 'seeds' } = options;
+
+  const listFiles = () => {
+    const dir = path.resolve(directory);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(file => SEED_FILE.test(file)).sort();
+  };
+
+  const loadSeed = (file) => {
+    const seed = require(path.resolve(directory, file));
+    if (typeof seed.run !== 'function') {
+      throw new Error(`Seed ${file} must export a run() function`);
+    }
+    return seed;
+  };
+
+  return {
+    // Seed files in the order they run
+    list: () => listFiles(),
+
+    // Run every seed, or only the named ones (with or without extension);
+    // either way they run in file name order
+    run: async (names = null) => {
+      const files = listFiles();
+      const matches = (file, name) => file === name || file.replace(/\.c?js$/, '') === name;
+
+      if (names !== null) {
+        const unknown = names.find(name => !files.some(file => matches(file, name)));
+        if (unknown) throw new Error(`Seed '${unknown}' not found in ${directory}`);
+      }
+      const selected = names === null
+        ? files
+        : files.filter(file => names.some(name => matches(file, name)));
+
+      const db = bindDb(pool);
+      for (const file of selected) {
+        try {
+          await db.transaction(async (tx) => await loadSeed(file).run(tx));
+        } catch (err) {
+          log.error(`Seed ${file} failed`, { error: err });
+          throw err;
+        }
+      }
+      return selected;
+    }
+  };
+};
+
+module.exports = createSeeder;
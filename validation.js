@@ -0,0 +1,102 @@
+const { ValidationError } = require('./errors');
+
+const FORMATS = {
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  // ISO 8601, or MySQL's `YYYY-MM-DD HH:MM:SS`
+  'date-time': (value) =>
+    /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(value) &&
+    !Number.isNaN(Date.parse(value.replace(' ', 'T'))),
+  uuid: (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  uri: (value) => {
+    try {
+      return Boolean(new URL(value));
+    } catch (err) {
+      return false;
+    }
+  }
+};
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return typeof value === type;
+  }
+};
+
+// The first rule `value` breaks, as a message, or null
+const checkValue = (value, rules = {}) => {
+  const types = rules.type === undefined ? null : [].concat(rules.type);
+  if (types && !types.some(type => matchesType(value, type))) return `must be ${types.join(' or ')}`;
+  if (value === null) return null;
+
+  if (rules.enum && !rules.enum.includes(value)) return `must be one of: ${rules.enum.join(', ')}`;
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (rules.minLength !== undefined && length < rules.minLength) return `must be at least ${rules.minLength} characters`;
+    if (rules.maxLength !== undefined && length > rules.maxLength) return `must be at most ${rules.maxLength} characters`;
+    if (rules.pattern !== undefined && !new RegExp(rules.pattern, 'u').test(value)) return `must match ${rules.pattern}`;
+    if (rules.format !== undefined) {
+      if (!FORMATS[rules.format]) throw new Error(`Unknown format '${rules.format}'`);
+      if (!FORMATS[rules.format](value)) return `must be a valid ${rules.format}`;
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (rules.minimum !== undefined && value < rules.minimum) return `must be at least ${rules.minimum}`;
+    if (rules.maximum !== undefined && value > rules.maximum) return `must be at most ${rules.maximum}`;
+  }
+
+  return null;
+};
+
+/**
+ * Check a request body against a JSON-Schema-style object schema:
+ * `properties` with `type`, `enum`, `minLength` / `maxLength`, `pattern`,
+ * `format` (email, date, date-time, uuid, uri) and `minimum` / `maximum`,
+ * and a `required` list. `mode` 'create' (the default) enforces `required`
+ * and 'update' doesn't. 'replace' enforces it too and sets every other
+ * field the body leaves out to its `default`, or to null where the field's
+ * type allows it. Returns the declared fields only; throws a ValidationError
+ * whose `errors` lists `{ field, message }` for every field that failed.
+ */
+const validateBody = (schema, body, { mode = 'create' } = {}) => {
+  if (!matchesType(body, 'object')) {
+    throw new ValidationError('Request body must be a JSON object', { errors: [] });
+  }
+
+  const { properties = {}, required = [] } = schema;
+  const errors = [];
+  const value = {};
+
+  for (const [field, rules] of Object.entries(properties)) {
+    if (!Object.prototype.hasOwnProperty.call(body, field) || body[field] === undefined) {
+      if (mode !== 'update' && required.includes(field)) {
+        errors.push({ field, message: 'is required' });
+      } else if (mode === 'replace' && 'default' in rules) {
+        value[field] = rules.default;
+      } else if (mode === 'replace' && (rules.type === undefined || [].concat(rules.type).includes('null'))) {
+        value[field] = null;
+      }
+      continue;
+    }
+    const message = checkValue(body[field], rules);
+    if (message) {
+      errors.push({ field, message });
+    } else {
+      value[field] = body[field];
+    }
+  }
+
+  if (errors.length > 0) throw new ValidationError('Request body is invalid', { errors });
+  return value;
+};
+
+module.exports = {
+  validateBody
+};